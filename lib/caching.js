@@ -0,0 +1,294 @@
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+/** Response caching for clients and servers. */
+
+const utils = require('./utils');
+
+const util = require('util');
+
+const debug = util.debuglog('verdon:caching');
+
+// Header used by servers to describe a response's cacheability. Its value
+// follows HTTP's `Cache-Control` syntax, only the `no-store` and `max-age`
+// directives are currently supported.
+const CACHE_CONTROL_HEADER = 'cacheControl';
+
+// Directives set by handlers, keyed by locals.
+const CACHE_CONTROLS = new WeakMap();
+
+// Default keys in locals of the caller's identity and scope (set by proxies).
+const PRINCIPAL_KEY = 'principal';
+const SCOPE_KEY = 'scope';
+
+/**
+ * Least recently used cache, with expiring entries.
+ *
+ * Responses are stored encoded, so that callers can't mutate cached values.
+ */
+class LruCache {
+
+  constructor(maxSize) {
+    this._maxSize = maxSize;
+    this._entries = new Map(); // In order of use, most recent last.
+  }
+
+  get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    this._entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+    this._entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, value, ttl) {
+    this._entries.delete(key);
+    this._entries.set(key, {value, expiresAt: Date.now() + ttl});
+    if (this._entries.size > this._maxSize) {
+      // Maps iterate in insertion order, the first key is the least recent.
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Set a response's cache directives from within a handler.
+ *
+ * For example `setCacheControl(this, 'max-age=60')` allows callers to cache
+ * the response for a minute, `setCacheControl(this, 'no-store')` prevents any
+ * caching. The server must use the caching middleware for directives to be
+ * sent.
+ *
+ * @param ctx {CallContext} The call's context.
+ * @param directives {String} Cache directives.
+ */
+function setCacheControl(ctx, directives) {
+  CACHE_CONTROLS.set(ctx.locals, directives);
+}
+
+/**
+ * Client caching middleware.
+ *
+ * Responses to opted-in messages are cached by request, subsequent calls with
+ * an identical request are then answered without being sent. Servers can
+ * override the default TTL, or prevent caching, via the response's
+ * `cacheControl` header (see `setCacheControl`). Errors are never cached.
+ *
+ * @param client {Client} Client to instrument.
+ * @param opts {Object} Options:
+ *  + messages {Array|Object} Names of messages to cache or object mapping
+ *    message names to options (currently only `ttl`).
+ *  + ttl {Number} Default time to live of cached responses, in milliseconds.
+ *    Defaults to one minute.
+ *  + maxSize {Number} Maximum number of cached responses. The least recently
+ *    used ones are evicted first. Defaults to 1000.
+ */
+function cacheClient(client, opts) {
+  const cache = createCache(opts);
+  return function (wreq, wres, next) {
+    const msg = this.message;
+    const ttl = cache.ttl(msg);
+    if (ttl === undefined) {
+      next();
+      return;
+    }
+    const key = cacheKey(msg, wreq.request);
+    if (key === undefined) {
+      next(); // Invalid request, the client will report it.
+      return;
+    }
+    const entry = cache.get(key);
+    if (entry) {
+      debug('client cache hit for %s', msg.name);
+      wres.response = msg.responseType.fromBuffer(entry.value);
+      next(); // Bypasses the server.
+      return;
+    }
+    next(null, function (err, prev) {
+      if (!err && succeeded(wres)) {
+        const maxAge = responseMaxAge(wres.headers[CACHE_CONTROL_HEADER], ttl);
+        if (maxAge > 0) {
+          cache.set(key, msg.responseType.toBuffer(wres.response), maxAge);
+        }
+      }
+      prev(err);
+    });
+  };
+}
+
+/**
+ * Server caching middleware.
+ *
+ * Responses to opted-in messages are cached by caller and request, subsequent
+ * calls from the same caller with an identical request are answered without
+ * calling the handler. Responses carry a `cacheControl` header with their
+ * remaining time to live, allowing clients (e.g. using the client caching
+ * middleware) to cache them too.
+ *
+ * Callers are identified by the principal and scope stored in locals by
+ * proxies. Principals are compared by value if primitive (e.g. strings), by
+ * reference otherwise: objects are never serialized, since distinct callers
+ * could look alike. This way responses are never shared across callers, and
+ * cache hits (which bypass any later middleware, e.g. the authorization added
+ * by `bindServer`) only return responses already served to the same caller.
+ * Receivers which create a new principal object for each request won't get
+ * any cache hits, they should reuse principals or use the `identity` option.
+ *
+ * @param server {Server} Server to instrument.
+ * @param opts {Object} Options, the same as the client's and:
+ *  + identity {Function} Function called with each call's context and wrapped
+ *    request, returning a string identifying the caller. Defaults to the
+ *    principal and scope.
+ *  + principalKey {String} Locals key of the principal, for the default
+ *    identity function.
+ *  + scopeKey {String} Locals key of the scope, for the default identity
+ *    function.
+ */
+function cacheServer(server, opts) {
+  const {
+    identity = null,
+    principalKey = PRINCIPAL_KEY,
+    scopeKey = SCOPE_KEY
+  } = opts || {};
+  const callerIdentity = identity || function (ctx) {
+    const principal = utils.principalIdentity(ctx.locals[principalKey]);
+    return JSON.stringify([principal, '' + ctx.locals[scopeKey]]);
+  };
+  const cache = createCache(opts);
+  return function (wreq, wres, next) {
+    if (!wres) {
+      next(); // One-way message.
+      return;
+    }
+    const msg = this.message;
+    const ttl = cache.ttl(msg);
+    const locals = this.locals;
+    let key;
+    if (ttl !== undefined) {
+      key = cacheKey(msg, wreq.request, callerIdentity(this, wreq));
+    }
+    if (key !== undefined) {
+      const entry = cache.get(key);
+      if (entry) {
+        debug('server cache hit for %s', msg.name);
+        const maxAge = Math.floor((entry.expiresAt - Date.now()) / 1000);
+        wres.headers[CACHE_CONTROL_HEADER] = Buffer.from(`max-age=${maxAge}`);
+        wres.response = msg.responseType.fromBuffer(entry.value);
+        next(); // Bypasses the handler.
+        return;
+      }
+    }
+    next(null, function (err, prev) {
+      let directives = CACHE_CONTROLS.get(locals);
+      if (
+        key !== undefined &&
+        !err &&
+        succeeded(wres) &&
+        // Responses can still be invalid, e.g. `undefined` for `null`.
+        msg.responseType.isValid(wres.response)
+      ) {
+        const maxAge = responseMaxAge(directives, ttl);
+        if (maxAge > 0) {
+          cache.set(key, msg.responseType.toBuffer(wres.response), maxAge);
+          directives = directives || `max-age=${Math.floor(maxAge / 1000)}`;
+        }
+      }
+      if (directives) {
+        wres.headers[CACHE_CONTROL_HEADER] = Buffer.from(directives);
+      }
+      prev(err);
+    });
+  };
+}
+
+// Helpers.
+
+/** Cache and per-message TTLs, from middleware options. */
+function createCache({messages = [], ttl = 60000, maxSize = 1000} = {}) {
+  const ttls = new Map();
+  if (Array.isArray(messages)) {
+    for (const name of messages) {
+      ttls.set(name, ttl);
+    }
+  } else {
+    for (const name of Object.keys(messages)) {
+      const msgTtl = messages[name].ttl;
+      ttls.set(name, msgTtl === undefined ? ttl : msgTtl);
+    }
+  }
+  const cache = new LruCache(maxSize);
+  // Undefined for messages which aren't cached.
+  cache.ttl = (msg) => msg.oneWay ? undefined : ttls.get(msg.name);
+  return cache;
+}
+
+/**
+ * Cache key of a request, its message's name and binary encoding.
+ *
+ * Invalid requests (which can't be encoded) don't have a key.
+ *
+ * @param msg {Message} The request's message.
+ * @param req {Object} The request.
+ * @param identity {String} Optional caller identity.
+ */
+function cacheKey(msg, req, identity) {
+  const type = msg.requestType;
+  if (!type.isValid(req)) {
+    return undefined;
+  }
+  const parts = [msg.name, type.toBuffer(req).toString('base64')];
+  if (identity !== undefined) {
+    parts.unshift(identity);
+  }
+  return JSON.stringify(parts);
+}
+
+/**
+ * Whether a call returned a response (rather than an error).
+ *
+ * Server handlers can also signal success with a `null` error, which is only
+ * normalized after middleware run.
+ */
+function succeeded(wres) {
+  return wres.error === undefined || wres.error === null;
+}
+
+/**
+ * Time to live of a response, in milliseconds.
+ *
+ * @param directives {String|Buffer} Cache directives, if any.
+ * @param ttl {Number} Default TTL.
+ */
+function responseMaxAge(directives, ttl) {
+  if (!directives) {
+    return ttl;
+  }
+  for (const directive of directives.toString().split(',')) {
+    const parts = directive.trim().split('=');
+    if (parts[0] === 'no-store') {
+      return 0;
+    }
+    if (parts[0] === 'max-age') {
+      const maxAge = parseInt(parts[1], 10);
+      return isNaN(maxAge) ? 0 : 1000 * maxAge;
+    }
+  }
+  return ttl;
+}
+
+
+module.exports = {
+  clientCaching: function (opts) {
+    return function (client) { return cacheClient(client, opts); };
+  },
+  serverCaching: function (opts) {
+    return function (server) { return cacheServer(server, opts); };
+  },
+  setCacheControl
+};
@@ -0,0 +1,388 @@
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+/** Command line interface. */
+
+const proxy = require('./proxy');
+const transports = require('./transports');
+
+const avro = require('avsc');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {parse: parseUrl} = require('url');
+const util = require('util');
+const wsStream = require('websocket-stream');
+
+const debug = util.debuglog('verdon:cli');
+
+const USAGE = `Usage: verdon <command> [options]
+
+Commands:
+  call <protocol> <url> <message> [<request>]
+    Emit a single message and print its avro/json response. The transport is
+    inferred from the URL: \`ws://\` and \`wss://\` use a WebSocket, \`http://\`
+    opens a CONNECT tunnel (or POSTs an avro/json envelope with \`--post\`).
+  info <protocol>
+    Print the messages and types declared in a protocol.
+  serve <protocol>
+    Start a proxy exposing a stub server which responds with random values.
+
+Options:
+  -H, --header <name=value>  HTTP header sent to the proxy (repeatable).
+  -h, --help                 Show this message.
+  -j, --json                 Print the protocol's JSON declaration (\`info\`).
+  -p, --port <port>          Port to listen on (\`serve\`, default 8080).
+  --post                     Use the proxy's POST handler (\`call\`).
+  -s, --scope <scope>        Scope of the server to bind or call.
+
+Protocols can be specified as IDL (\`.avdl\`) or JSON (\`.avpr\`) files.`;
+
+/**
+ * CLI entry point.
+ *
+ * @param argv {Array} Command line arguments (without the node executable and
+ * script path).
+ * @param opts {Object} Options:
+ *  + stdout {Stream} Where to write outputs. Defaults to `process.stdout`.
+ *  + stderr {Stream} Where to write logs. Defaults to `process.stderr`.
+ * @param cb {Function} Called with any error once the command has completed.
+ * Note that `serve` will only call it if the server fails to start, and
+ * otherwise passes the listening HTTP server as second argument.
+ */
+function main(argv, opts, cb) {
+  if (!cb && typeof opts == 'function') {
+    cb = opts;
+    opts = undefined;
+  }
+  opts = opts || {};
+  const stdout = opts.stdout || process.stdout;
+  const stderr = opts.stderr || process.stderr;
+
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    cb(err);
+    return;
+  }
+  if (args.help) {
+    stdout.write(`${USAGE}\n`);
+    cb();
+    return;
+  }
+  const cmd = args.positionals.shift();
+  switch (cmd) {
+    case 'call':
+      call(args, stdout, cb);
+      break;
+    case 'info':
+      info(args, stdout, cb);
+      break;
+    case 'serve':
+      serve(args, stderr, cb);
+      break;
+    default:
+      cb(new Error(cmd ? `unknown command: ${cmd}` : 'missing command'));
+  }
+}
+
+/** Emit a message and print its response. */
+function call(args, stdout, cb) {
+  const [fpath, url, name, reqStr = '{}'] = args.positionals;
+  if (!fpath || !url || !name) {
+    cb(new Error('missing protocol, url, or message'));
+    return;
+  }
+  readService(fpath, (err, svc) => {
+    if (err) {
+      cb(err);
+      return;
+    }
+    const msg = svc.message(name);
+    if (!msg) {
+      cb(new Error(`unknown message: ${name}`));
+      return;
+    }
+    let req;
+    try {
+      req = msg.requestType.fromString(reqStr);
+    } catch (cause) {
+      cb(new Error(`invalid request: ${cause.message}`));
+      return;
+    }
+    if (args.post) {
+      postMessage(url, msg, req, args, done);
+      return;
+    }
+    createTransport(url, args.headers, (err, transport) => {
+      if (err) {
+        cb(err);
+        return;
+      }
+      const client = svc.createClient();
+      client.createChannel(transport, {scope: args.scope});
+      client.emitMessage(name, req, (err, res) => {
+        client.destroyChannels({noWait: true});
+        done(err, res);
+      });
+    });
+
+    function done(err, res) {
+      if (msg.oneWay) {
+        cb(err);
+        return;
+      }
+      if (err) {
+        if (!(err instanceof Error)) {
+          err = new Error(msg.errorType.toString(err));
+        }
+        cb(err);
+        return;
+      }
+      stdout.write(`${msg.responseType.toString(res)}\n`);
+      cb();
+    }
+  });
+}
+
+/** Print a protocol's contents. */
+function info(args, stdout, cb) {
+  const fpath = args.positionals[0];
+  if (!fpath) {
+    cb(new Error('missing protocol'));
+    return;
+  }
+  readService(fpath, (err, svc) => {
+    if (err) {
+      cb(err);
+      return;
+    }
+    if (args.json) {
+      stdout.write(`${JSON.stringify(svc.protocol, null, 2)}\n`);
+      cb();
+      return;
+    }
+    const lines = [`protocol ${svc.name}`];
+    if (svc.messages.length) {
+      lines.push('', 'messages:');
+      for (const msg of svc.messages) {
+        lines.push(`  ${formatMessage(msg)}`);
+      }
+    }
+    const types = svc.types.filter((type) => type.name);
+    if (types.length) {
+      lines.push('', 'types:');
+      for (const type of types) {
+        lines.push(`  ${type.typeName} ${type.name}`);
+      }
+    }
+    stdout.write(`${lines.join('\n')}\n`);
+    cb();
+  });
+}
+
+/** Start a proxy in front of a stub server. */
+function serve(args, stderr, cb) {
+  const fpath = args.positionals[0];
+  if (!fpath) {
+    cb(new Error('missing protocol'));
+    return;
+  }
+  readService(fpath, (err, svc) => {
+    if (err) {
+      cb(err);
+      return;
+    }
+    const server = svc.createServer({defaultHandler: stubHandler});
+    const p = proxy.createProxy().bindServer(server, {scope: args.scope});
+    const httpServer = http.createServer()
+      .on('request', p.postRequestHandler())
+      .on('request', p.getRequestHandler())
+      .on('connect', p.connectHandler())
+      .on('upgrade', p.webSocketHandler())
+      .on('error', cb)
+      .on('listening', function () {
+        stderr.write(`Serving ${svc.name} on port ${this.address().port}.\n`);
+        cb(null, this);
+      })
+      .listen(args.port);
+    debug('starting stub server for %s', svc.name);
+  });
+
+  function stubHandler(wreq, wres, prev) {
+    const msg = this.message;
+    stderr.write(`${msg.name}(${msg.requestType.toString(wreq.request)})\n`);
+    if (wres) {
+      wres.response = msg.responseType.random();
+    }
+    prev();
+  }
+}
+
+// Helpers.
+
+/** Parse command line arguments. */
+function parseArgs(argv) {
+  const args = {
+    headers: {},
+    help: false,
+    json: false,
+    port: 8080,
+    positionals: [],
+    post: false,
+    scope: ''
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '-H':
+      case '--header': {
+        const str = optionValue(arg, argv[++i]);
+        const pos = str.indexOf('=');
+        if (pos < 1) {
+          throw new Error(`invalid header: ${str}`);
+        }
+        args.headers[str.substr(0, pos)] = str.substr(pos + 1);
+        break;
+      }
+      case '-h':
+      case '--help':
+        args.help = true;
+        break;
+      case '-j':
+      case '--json':
+        args.json = true;
+        break;
+      case '-p':
+      case '--port':
+        args.port = +optionValue(arg, argv[++i]);
+        if (isNaN(args.port)) {
+          throw new Error(`invalid port: ${argv[i]}`);
+        }
+        break;
+      case '--post':
+        args.post = true;
+        break;
+      case '-s':
+      case '--scope':
+        args.scope = optionValue(arg, argv[++i]);
+        break;
+      default:
+        if (arg.startsWith('-') && arg.length > 1) {
+          throw new Error(`unknown option: ${arg}`);
+        }
+        args.positionals.push(arg);
+    }
+  }
+  return args;
+
+  function optionValue(name, val) {
+    if (val === undefined) {
+      throw new Error(`missing value for option ${name}`);
+    }
+    return val;
+  }
+}
+
+/** Load a service from an IDL or JSON protocol file. */
+function readService(fpath, cb) {
+  if (path.extname(fpath) === '.avdl') {
+    avro.assembleProtocol(fpath, done);
+  } else {
+    fs.readFile(fpath, 'utf8', (err, str) => {
+      if (err) {
+        cb(err);
+        return;
+      }
+      let ptcl;
+      try {
+        ptcl = JSON.parse(str);
+      } catch (cause) {
+        cb(new Error(`invalid protocol ${fpath}: ${cause.message}`));
+        return;
+      }
+      done(null, ptcl);
+    });
+  }
+
+  function done(err, ptcl) {
+    if (err) {
+      cb(err);
+      return;
+    }
+    let svc;
+    try {
+      svc = avro.Service.forProtocol(ptcl);
+    } catch (cause) {
+      cb(cause);
+      return;
+    }
+    cb(null, svc);
+  }
+}
+
+/** Open a stateful transport to a proxy. */
+function createTransport(url, headers, cb) {
+  const protocol = parseUrl(url).protocol;
+  if (protocol === 'ws:' || protocol === 'wss:') {
+    cb(null, wsStream(url, {headers}));
+  } else if (protocol === 'http:') {
+    proxy.startTunnel(url, {headers}, cb);
+  } else {
+    cb(new Error(`unsupported url: ${url}`));
+  }
+}
+
+/** Send a message using a proxy's avro/json POST envelope. */
+function postMessage(url, msg, req, args, cb) {
+  const jreq = {
+    message: msg.name,
+    request: JSON.parse(msg.requestType.toString(req))
+  };
+  const opts = {scope: args.scope, headers: args.headers};
+  transports.postJsonMessage(url, jreq, opts, (err, jres) => {
+    if (err) {
+      cb(err);
+      return;
+    }
+    if (jres.error !== undefined) {
+      cb(msg.errorType.fromString(JSON.stringify(jres.error)));
+    } else {
+      cb(null, msg.responseType.fromString(JSON.stringify(jres.response)));
+    }
+  });
+}
+
+/** IDL-like message signature. */
+function formatMessage(msg) {
+  const params = msg.requestType.fields
+    .map((field) => `${typeLabel(field.type)} ${field.name}`)
+    .join(', ');
+  const res = msg.oneWay ? 'void' : typeLabel(msg.responseType);
+  return `${res} ${msg.name}(${params})${msg.oneWay ? ' oneway' : ''}`;
+}
+
+/** Short type description. */
+function typeLabel(type) {
+  if (type.name) {
+    return type.name;
+  }
+  switch (type.typeName) {
+    case 'array':
+      return `array<${typeLabel(type.itemsType)}>`;
+    case 'map':
+      return `map<${typeLabel(type.valuesType)}>`;
+    case 'union:unwrapped':
+    case 'union:wrapped':
+      return `union { ${type.types.map(typeLabel).join(', ')} }`;
+    default:
+      return type.typeName;
+  }
+}
+
+
+module.exports = {
+  main
+};
@@ -0,0 +1,177 @@
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+/** Deadline propagation between clients and servers. */
+
+const {SystemError, encodeSystemError} = require('./errors');
+
+const avro = require('avsc');
+const util = require('util');
+
+const debug = util.debuglog('verdon:deadlines');
+
+// Default key used in locals, call options, and headers to store deadlines.
+const DEADLINE_KEY = 'deadline';
+
+// Deadlines are sent as the number of milliseconds left when the request is
+// emitted rather than as a date, so that clock skew between hosts doesn't
+// matter. Servers count down from when they receive the request: time spent
+// in transit isn't deducted, since measuring it would require comparing both
+// hosts' clocks.
+const BUDGET_TYPE = avro.Type.forSchema('long');
+
+/** Point in time after which a call's result isn't useful anymore. */
+class Deadline {
+
+  constructor(date) {
+    this.date = date;
+  }
+
+  /** Number of milliseconds left, zero once the deadline has passed. */
+  remaining() {
+    return Math.max(0, this.date - Date.now());
+  }
+
+  isExpired() {
+    return this.date <= Date.now();
+  }
+}
+
+/**
+ * Create a deadline.
+ *
+ * @param timeout {Number} Number of milliseconds from now until the deadline.
+ */
+function createDeadline(timeout) {
+  return new Deadline(new Date(Date.now() + timeout));
+}
+
+/**
+ * Client deadline middleware.
+ *
+ * A call's deadline is taken from its options, either directly (e.g.
+ * `client.neg(1, {deadline: createDeadline(500)}, cb)`) or from the locals of
+ * another call (e.g. `client.neg(1, {locals: this.locals}, cb)` inside a
+ * server's handler, to forward the incoming call's deadline). The call's own
+ * timeout is shortened to match the deadline, calls whose deadline has already
+ * passed fail without being sent.
+ *
+ * @param client {Client} Client to instrument.
+ * @param opts {Object} Options:
+ *  + deadlineKey {String} The key used to store the deadline, in the call's
+ *    options, locals, and message headers.
+ *  + defaultTimeout {Number} Timeout used to create a deadline for calls
+ *    without one. By default, such calls are sent without deadline.
+ */
+function clientDeadlines(client, {
+  deadlineKey = DEADLINE_KEY,
+  defaultTimeout = 0
+} = {}) {
+  client.on('channel', function (channel) {
+    channel.on('outgoingCall', function (ctx, opts) {
+      let deadline = opts[deadlineKey];
+      if (!deadline && opts.locals) {
+        deadline = opts.locals[deadlineKey];
+      }
+      if (!deadline && defaultTimeout) {
+        deadline = createDeadline(defaultTimeout);
+      }
+      if (!deadline) {
+        return;
+      }
+      ctx.locals[deadlineKey] = deadline;
+      // The response timeout is only read once the middleware has run.
+      const remaining = deadline.remaining();
+      opts.timeout = opts.timeout > 0 ?
+        Math.min(opts.timeout, remaining) :
+        remaining;
+    });
+  });
+
+  return function (wreq, wres, next) {
+    const deadline = this.locals[deadlineKey];
+    if (!deadline) {
+      next();
+      return;
+    }
+    const budget = deadline.remaining();
+    if (budget <= 0) {
+      debug('deadline exceeded before sending %s', this.message.name);
+      next(deadlineExceededError());
+      return;
+    }
+    wreq.headers[deadlineKey] = BUDGET_TYPE.toBuffer(budget);
+    next();
+  };
+}
+
+/**
+ * Server deadline middleware.
+ *
+ * The deadline sent by the client (if any) is exposed in each call's locals,
+ * calls received after their deadline are rejected without being handled.
+ *
+ * @param server {Server} Server to instrument.
+ * @param opts {Object} Options:
+ *  + deadlineKey {String} The key used to store the deadline, both in the
+ *    call's locals and the message headers.
+ *  + maxTimeout {Number} Upper bound on the budget of incoming calls, also
+ *    applied to calls without deadline. Unlimited by default.
+ */
+function serverDeadlines(server, {
+  deadlineKey = DEADLINE_KEY,
+  maxTimeout = Infinity
+} = {}) {
+  return function (wreq, wres, next) {
+    const now = Date.now();
+    const budgetBuf = wreq.headers[deadlineKey];
+    let budget = maxTimeout;
+    if (budgetBuf) {
+      try {
+        budget = Math.min(budget, BUDGET_TYPE.fromBuffer(budgetBuf));
+      } catch (err) {
+        next(err);
+        return;
+      }
+    }
+    if (budget === Infinity) {
+      next();
+      return;
+    }
+    const deadline = new Deadline(new Date(now + budget));
+    const current = this.locals[deadlineKey];
+    if (!current || deadline.date < current.date) {
+      this.locals[deadlineKey] = deadline;
+    }
+    if (this.locals[deadlineKey].isExpired()) {
+      debug('deadline exceeded before handling %s', this.message.name);
+      if (wres) {
+        // Returned as application error, to bypass the handler.
+        wres.error = encodeSystemError(deadlineExceededError(), this.message);
+        next();
+      } else {
+        next(deadlineExceededError());
+      }
+      return;
+    }
+    next();
+  };
+}
+
+// Helpers.
+
+function deadlineExceededError() {
+  return new SystemError('DEADLINE_EXCEEDED', 'deadline exceeded');
+}
+
+
+module.exports = {
+  clientDeadlines: function (opts) {
+    return function (client) { return clientDeadlines(client, opts); };
+  },
+  createDeadline,
+  serverDeadlines: function (opts) {
+    return function (server) { return serverDeadlines(server, opts); };
+  }
+};
@@ -0,0 +1,254 @@
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+/** Error hierarchy, and translation between JavaScript and Avro errors. */
+
+const util = require('util');
+
+const debug = util.debuglog('verdon:errors');
+
+// HTTP status of each system error code. When converting a status back, the
+// first code with that status is used.
+const STATUS_CODES = {
+  INVALID_REQUEST: 400,
+  PERMISSION_DENIED: 403,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
+  RATE_LIMITED: 429,
+  INTERNAL: 500,
+  NOT_IMPLEMENTED: 501,
+  UNAVAILABLE: 503,
+  TOO_MANY_CALLS: 503,
+  CIRCUIT_OPEN: 503,
+  DEADLINE_EXCEEDED: 504
+};
+
+// Format of system errors sent as strings, e.g. `UNAVAILABLE: no backends`.
+const SYSTEM_ERROR_PATTERN = /^([A-Z][A-Z_]*): ([\s\S]*)$/;
+
+/**
+ * Avro counterpart of `SystemError`.
+ *
+ * Protocols can declare it among their messages' errors to receive system
+ * errors as structured records, for example in IDL:
+ *
+ *  @namespace("verdon")
+ *  error SystemError { string code; string message; }
+ *
+ * Otherwise system errors are sent as strings, prefixed by their code.
+ */
+const SYSTEM_ERROR_SCHEMA = {
+  type: 'error',
+  name: 'verdon.SystemError',
+  fields: [
+    {name: 'code', type: 'string'},
+    {name: 'message', type: 'string'}
+  ]
+};
+
+/**
+ * Error raised by verdon's components (or applications) for failures which
+ * aren't specific to a message.
+ *
+ * Each error has a machine-readable `code` (e.g. `UNAVAILABLE`,
+ * `DEADLINE_EXCEEDED`, `PERMISSION_DENIED`) and the corresponding HTTP
+ * `statusCode`, used when the error is sent by a proxy.
+ */
+class SystemError extends Error {
+
+  /**
+   * @param code {String} Error code.
+   * @param message {String} Human-readable description.
+   * @param opts {Object} Options:
+   *  + statusCode {Number} HTTP status, inferred from the code by default.
+   *  + path {String} Path to the offending value, for invalid requests.
+   *  + cause {Error} Underlying error.
+   */
+  constructor(code, message, {statusCode, path, cause} = {}) {
+    super(message);
+    this.name = 'SystemError';
+    this.code = code;
+    this.statusCode = statusCode || STATUS_CODES[code] || 500;
+    if (path) {
+      this.path = path;
+    }
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+
+  /** Create an error from an HTTP error response. */
+  static fromHttp(statusCode, body, contentType) {
+    if (/json/.test(contentType || '')) {
+      let obj;
+      try {
+        obj = JSON.parse(body);
+      } catch (err) {
+        debug('invalid json error body');
+      }
+      if (obj && typeof obj.code == 'string') {
+        const opts = {statusCode, path: obj.path};
+        return new SystemError(obj.code, obj.message || obj.code, opts);
+      }
+    }
+    const code = Object.keys(STATUS_CODES)
+      .find((key) => STATUS_CODES[key] === statusCode);
+    return new SystemError(code || 'UNKNOWN', body, {statusCode});
+  }
+}
+
+/**
+ * Mapping between JavaScript error classes and protocol error types.
+ *
+ * Registered classes are translated to the error type with the same name when
+ * a message declares it, and back on the receiving end. System errors are
+ * always translated (see `SYSTEM_ERROR_SCHEMA`). Other errors are left as is.
+ */
+class ErrorRegistry {
+
+  constructor() {
+    this._entries = [];
+  }
+
+  /**
+   * Register an error class.
+   *
+   * Subclasses should be registered after their parents, the last matching
+   * registration is used.
+   *
+   * @param constructor {Function} Error class.
+   * @param name {String} Fully qualified name of the corresponding Avro error
+   * type.
+   * @param opts {Object} Options:
+   *  + toRecord {Function} Function converting an error into a valid value for
+   *    the type. By default, the type's fields are copied from the error.
+   *  + fromRecord {Function} Inverse conversion. By default the class's
+   *    constructor is called with the record's message, and its other fields
+   *    then copied.
+   */
+  register(constructor, name, {toRecord = null, fromRecord = null} = {}) {
+    this._entries.unshift({constructor, name, toRecord, fromRecord});
+    return this;
+  }
+
+  /**
+   * Translate an error into a value valid for a message's error type.
+   *
+   * Errors which can't be translated are returned unchanged.
+   */
+  encode(err, msg) {
+    const entry = err && this._entries
+      .find((entry) => err instanceof entry.constructor);
+    const type = entry && errorBranch(msg, entry.name);
+    if (type) {
+      const val = entry.toRecord ? entry.toRecord(err) : copyFields(type, err);
+      return errorValue(msg, type, val);
+    }
+    return err instanceof SystemError ? encodeSystemError(err, msg) : err;
+  }
+
+  /** Translate an error received for a message, inverse of `encode`. */
+  decode(err) {
+    if (!err || typeof err != 'object') {
+      return err;
+    }
+    const type = err.constructor && err.constructor.type;
+    if (type && type.typeName === 'error') {
+      const entry = this._entries.find((entry) => entry.name === type.name);
+      if (entry) {
+        return entry.fromRecord ?
+          entry.fromRecord(err) :
+          createError(entry.constructor, type, err);
+      }
+    }
+    return decodeSystemError(err);
+  }
+}
+
+/** Create an error registry. */
+function createErrorRegistry() {
+  return new ErrorRegistry();
+}
+
+/**
+ * Translate a system error into a value valid for a message's error type.
+ *
+ * This is a structured record if the message declares `verdon.SystemError`,
+ * a string otherwise.
+ *
+ * @param err {SystemError} The error.
+ * @param msg {Message} The message it is returned for.
+ */
+function encodeSystemError(err, msg) {
+  const type = errorBranch(msg, SYSTEM_ERROR_SCHEMA.name);
+  if (type) {
+    return errorValue(msg, type, {code: err.code, message: err.message});
+  }
+  const str = `${err.code}: ${err.message}`;
+  return msg.errorType.clone(str, {wrapUnions: true});
+}
+
+/**
+ * Recover system errors from a received error, other errors are left as is.
+ *
+ * @param err {Error} Received error, either a `verdon.SystemError` record or
+ * an error with a code-prefixed message.
+ */
+function decodeSystemError(err) {
+  if (!err || err instanceof SystemError) {
+    return err;
+  }
+  const type = err.constructor && err.constructor.type;
+  if (type && type.name === SYSTEM_ERROR_SCHEMA.name) {
+    return new SystemError(err.code, err.message);
+  }
+  const match = err instanceof Error && SYSTEM_ERROR_PATTERN.exec(err.message);
+  if (match && STATUS_CODES[match[1]]) {
+    return new SystemError(match[1], match[2], {cause: err});
+  }
+  return err;
+}
+
+// Helpers.
+
+/** A message's error type with a given name, if any. */
+function errorBranch(msg, name) {
+  return msg.errorType.types.find((type) => type.name === name);
+}
+
+/** Value of a message's error union, from one of its branches' values. */
+function errorValue(msg, type, val) {
+  const rec = type.clone(val);
+  return msg.errorType.typeName === 'union:wrapped' ? rec.wrap() : rec;
+}
+
+function copyFields(type, err) {
+  const obj = {};
+  for (const field of type.fields) {
+    obj[field.name] = err[field.name];
+  }
+  return obj;
+}
+
+function createError(constructor, type, rec) {
+  const err = new constructor(rec.message);
+  for (const field of type.fields) {
+    if (field.name !== 'message') {
+      err[field.name] = rec[field.name];
+    }
+  }
+  return err;
+}
+
+
+module.exports = {
+  SYSTEM_ERROR_SCHEMA,
+  SystemError,
+  createErrorRegistry,
+  decodeSystemError,
+  encodeSystemError,
+  errorValue
+};
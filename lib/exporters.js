@@ -0,0 +1,323 @@
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+/** Export traces to external collectors. */
+
+const crypto = require('crypto');
+const events = require('events');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const {parse: parseUrl} = require('url');
+const util = require('util');
+
+const debug = util.debuglog('verdon:exporters');
+
+// OTLP span kind and status codes.
+const OTLP_SPAN_KIND_CLIENT = 3;
+const OTLP_STATUS_CODES = {
+  CANCELLED: 0,
+  ERROR: 2,
+  ONE_WAY: 0,
+  PENDING: 0,
+  SUCCESS: 1
+};
+
+/**
+ * Supported formats.
+ *
+ * Each converts a span into its format's representation (`span`) and wraps an
+ * array of these into the payload sent to sinks (`batch`).
+ */
+const FORMATS = {
+  otlp: {
+    span: function (span) {
+      const obj = {
+        traceId: span.traceId,
+        spanId: span.id,
+        name: span.name,
+        kind: OTLP_SPAN_KIND_CLIENT,
+        startTimeUnixNano: nanos(span.startTime),
+        endTimeUnixNano: nanos(span.endTime || span.startTime),
+        attributes: otlpAttributes(spanTags(span)),
+        events: span.events.map((evt) => ({
+          name: evt.name,
+          timeUnixNano: nanos(evt.time),
+          attributes: otlpAttributes(evt.tags)
+        })),
+        status: {code: OTLP_STATUS_CODES[span.state]}
+      };
+      if (span.parentId) {
+        obj.parentSpanId = span.parentId;
+      }
+      if (span.error) {
+        obj.status.message = span.error;
+      }
+      return obj;
+    },
+    batch: function (spans, serviceName) {
+      const attr = {key: 'service.name', value: {stringValue: serviceName}};
+      return {
+        resourceSpans: [{
+          resource: {attributes: [attr]},
+          scopeSpans: [{scope: {name: 'verdon'}, spans}]
+        }]
+      };
+    }
+  },
+  zipkin: {
+    span: function (span, serviceName) {
+      const obj = {
+        traceId: span.traceId,
+        id: span.id,
+        name: span.name,
+        kind: 'CLIENT',
+        timestamp: 1000 * span.startTime,
+        localEndpoint: {serviceName},
+        tags: spanTags(span)
+      };
+      if (span.parentId) {
+        obj.parentId = span.parentId;
+      }
+      if (span.endTime) {
+        obj.duration = 1000 * (span.endTime - span.startTime);
+      }
+      if (span.protocol) {
+        obj.remoteEndpoint = {serviceName: span.protocol};
+      }
+      if (span.state === 'ERROR') {
+        obj.tags.error = span.error || 'true';
+      }
+      if (span.events.length) {
+        obj.annotations = span.events.map((evt) => ({
+          timestamp: 1000 * evt.time,
+          value: evt.name
+        }));
+      }
+      return obj;
+    },
+    batch: function (spans) { return spans; }
+  }
+};
+
+/**
+ * Batching trace exporter.
+ *
+ * Spans are buffered until either enough have accumulated or the flush
+ * interval elapses, they are then formatted and written to the sink as a
+ * single payload. Write failures are emitted as `'error'` events if there are
+ * listeners, the failed batch is otherwise dropped.
+ */
+class TraceExporter extends events.EventEmitter {
+
+  constructor(sink, {
+    format = 'zipkin',
+    serviceName = 'verdon',
+    batchSize = 100,
+    flushInterval = 5000
+  } = {}) {
+    super();
+    if (!FORMATS[format]) {
+      throw new Error(`unknown format: ${format}`);
+    }
+    this._sink = sink;
+    this._format = FORMATS[format];
+    this._serviceName = serviceName;
+    this._batchSize = batchSize;
+    this._flushInterval = flushInterval;
+    this._spans = [];
+    this._timer = null;
+  }
+
+  /** Queue a trace's calls for export. */
+  export(trace) {
+    for (const span of traceSpans(trace)) {
+      this._spans.push(this._format.span(span, this._serviceName));
+    }
+    if (this._spans.length >= this._batchSize) {
+      this.flush();
+    } else if (this._spans.length && !this._timer) {
+      this._timer = setTimeout(() => { this.flush(); }, this._flushInterval);
+      // Pending exports shouldn't prevent the process from exiting.
+      this._timer.unref();
+    }
+    return this;
+  }
+
+  /** Write all queued spans to the sink. */
+  flush(cb) {
+    cb = cb || ((err) => {
+      if (!err) {
+        return;
+      }
+      if (this.listenerCount('error')) {
+        this.emit('error', err);
+      } else {
+        debug('dropping batch after write failure: %s', err.message);
+      }
+    });
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    if (!this._spans.length) {
+      process.nextTick(cb);
+      return;
+    }
+    const spans = this._spans;
+    this._spans = [];
+    debug('exporting %s spans', spans.length);
+    this._sink.write(this._format.batch(spans, this._serviceName), cb);
+  }
+}
+
+/**
+ * Create an exporter.
+ *
+ * @param sink {Object} Destination of exported spans, with a `write` method
+ * called with each batch's payload and a callback.
+ * @param opts {Object} Options:
+ *  + format {String} Either `'zipkin'` (Zipkin v2 JSON, the default) or
+ *    `'otlp'` (OTLP/JSON).
+ *  + serviceName {String} Name of the local service, attached to all spans.
+ *  + batchSize {Number} Number of spans which triggers a flush.
+ *  + flushInterval {Number} Maximum delay before queued spans are flushed, in
+ *    milliseconds.
+ */
+function createExporter(sink, opts) {
+  return new TraceExporter(sink, opts);
+}
+
+/** Sink appending each payload as a line of JSON to a file. */
+function createFileSink(fpath) {
+  return {
+    write: function (payload, cb) {
+      fs.appendFile(fpath, `${JSON.stringify(payload)}\n`, cb);
+    }
+  };
+}
+
+/**
+ * Sink POSTing each payload to a collector.
+ *
+ * @param url {String} The collector's endpoint, e.g.
+ * `http://localhost:9411/api/v2/spans` for Zipkin or
+ * `http://localhost:4318/v1/traces` for OTLP.
+ * @param opts {Object} Options:
+ *  + headers {Object} HTTP headers added to each request.
+ */
+function createHttpSink(url, {headers = {}} = {}) {
+  const obj = parseUrl(url);
+  return {
+    write: function (payload, cb) {
+      (obj.protocol === 'https:' ? https : http).request({
+        method: 'POST',
+        host: obj.hostname,
+        port: obj.port,
+        path: obj.path,
+        headers: Object.assign({}, headers, {
+          'content-type': 'application/json'
+        })
+      }).on('response', function (res) {
+          res.resume();
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            cb(new Error(`export failed: ${res.statusCode}`));
+            return;
+          }
+          cb();
+        })
+        .on('error', cb)
+        .end(JSON.stringify(payload));
+    }
+  };
+}
+
+/** Sink storing payloads in its `payloads` array, mostly useful for tests. */
+function createMemorySink() {
+  const payloads = [];
+  return {
+    payloads,
+    write: function (payload, cb) {
+      payloads.push(payload);
+      process.nextTick(cb);
+    }
+  };
+}
+
+// Helpers.
+
+/**
+ * Flatten a trace into spans.
+ *
+ * Each call becomes a span, child of the call which triggered it (or of the
+ * trace's parent span, for example when it was started by an HTTP request).
+ * Calls from older peers don't have a span ID, a random one is generated for
+ * them. Times are kept as dates here, each format then encodes them as needed.
+ */
+function traceSpans(trace) {
+  const traceId = trace.uuid.toString('hex');
+  const spans = [];
+  const parentSpanId = trace.parentSpanId;
+  addCalls(trace.calls, parentSpanId ? parentSpanId.toString('hex') : void 0);
+  return spans;
+
+  function addCalls(calls, parentId) {
+    for (const call of calls) {
+      const id = (call.spanId || crypto.randomBytes(8)).toString('hex');
+      spans.push({
+        traceId,
+        id,
+        parentId,
+        name: call.name,
+        state: call.state,
+        startTime: call.requestTime,
+        endTime: call.responseTime || undefined,
+        protocol: call.protocol || undefined,
+        scope: call.scope || undefined,
+        error: call.error || undefined,
+        truncated: !!call.truncated,
+        tags: call.tags || {},
+        events: call.events || []
+      });
+      addCalls(call.downstreamCalls || [], id);
+    }
+  }
+}
+
+/** All tags attached to a span, including verdon-specific ones. */
+function spanTags(span) {
+  const tags = {'verdon.state': span.state};
+  if (span.protocol) {
+    tags['verdon.protocol'] = span.protocol;
+  }
+  if (span.scope) {
+    tags['verdon.scope'] = span.scope;
+  }
+  if (span.truncated) {
+    tags['verdon.truncated'] = 'true';
+  }
+  return Object.assign(tags, span.tags);
+}
+
+/** Map of strings to OTLP attributes. */
+function otlpAttributes(tags) {
+  return Object.keys(tags).map((key) => ({
+    key,
+    value: {stringValue: tags[key]}
+  }));
+}
+
+/** Date to OTLP timestamp. */
+function nanos(date) {
+  // Strings, since these overflow doubles.
+  return `${+date}000000`;
+}
+
+
+module.exports = {
+  createExporter,
+  createFileSink,
+  createHttpSink,
+  createMemorySink
+};
@@ -2,17 +2,63 @@
 
 'use strict';
 
+const caching = require('./caching');
+const deadlines = require('./deadlines');
+const errors = require('./errors');
+const exporters = require('./exporters');
+const limits = require('./limits');
+const metrics = require('./metrics');
+const pool = require('./pool');
 const proxy = require('./proxy');
+const resilience = require('./resilience');
 const tracing = require('./tracing');
+const transports = require('./transports');
+const types = require('./types');
 const utils = require('./utils');
 
 
 module.exports = {
+  LIMIT_EXCEEDED_SCHEMA: limits.LIMIT_EXCEEDED_SCHEMA,
+  LOGICAL_TYPES: types.LOGICAL_TYPES,
+  SYSTEM_ERROR_SCHEMA: errors.SYSTEM_ERROR_SCHEMA,
+  SystemError: errors.SystemError,
+  TYPE_REFS: types.TYPE_REFS,
+  addEvent: tracing.addEvent,
+  addTag: tracing.addTag,
+  clientCaching: caching.clientCaching,
+  clientDeadlines: deadlines.clientDeadlines,
+  clientMetrics: metrics.clientMetrics,
+  clientRetries: resilience.clientRetries,
   clientTracing: tracing.clientTracing,
+  connectWebSocket: transports.connectWebSocket,
+  createCircuitBreaker: resilience.createCircuitBreaker,
+  createDeadline: deadlines.createDeadline,
+  createErrorRegistry: errors.createErrorRegistry,
+  createExporter: exporters.createExporter,
+  createFileSink: exporters.createFileSink,
+  createHttpSink: exporters.createHttpSink,
+  createMemorySink: exporters.createMemorySink,
+  createPool: pool.createPool,
+  createPostTransport: transports.createPostTransport,
   createProxy: proxy.createProxy,
+  createRegistry: metrics.createRegistry,
   createTrace: tracing.createTrace,
+  formatTraceparent: tracing.formatTraceparent,
+  iterateMessage: utils.iterateMessage,
+  postJsonMessage: transports.postJsonMessage,
+  probabilisticSampler: tracing.probabilisticSampler,
   promisify: utils.promisify,
   promisifyAll: utils.promisifyAll,
+  rateLimitingSampler: tracing.rateLimitingSampler,
+  readTraceContext: tracing.readTraceContext,
+  seedTrace: tracing.seedTrace,
+  serverCaching: caching.serverCaching,
+  serverConcurrencyLimit: limits.serverConcurrencyLimit,
+  serverDeadlines: deadlines.serverDeadlines,
+  serverMetrics: metrics.serverMetrics,
+  serverRateLimit: limits.serverRateLimit,
   serverTracing: tracing.serverTracing,
-  startTunnel: proxy.startTunnel
+  setCacheControl: caching.setCacheControl,
+  startTunnel: proxy.startTunnel,
+  typeOptions: types.typeOptions
 };
@@ -0,0 +1,235 @@
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+/** Server middleware protecting handlers from excessive load. */
+
+const {SystemError, encodeSystemError, errorValue} = require('./errors');
+const utils = require('./utils');
+
+const avro = require('avsc');
+const util = require('util');
+
+const debug = util.debuglog('verdon:limits');
+
+// Default key in locals of the caller's identity (set by proxies).
+const PRINCIPAL_KEY = 'principal';
+
+// Response header containing the number of milliseconds after which rejected
+// calls can be retried.
+const RETRY_AFTER_HEADER = 'retryAfter';
+
+const RETRY_AFTER_TYPE = avro.Type.forSchema('long');
+
+// Buckets kept before idle ones start being pruned.
+const MAX_BUCKETS = 10000;
+
+/**
+ * Error returned when a call is rejected.
+ *
+ * Protocols can declare it among their messages' errors to receive structured
+ * rejections, for example in IDL:
+ *
+ *  @namespace("verdon")
+ *  error LimitExceeded { string code; string message; long retryAfter; }
+ *
+ * Otherwise rejections are returned as system errors. In both cases, the
+ * retry delay is also sent in the `retryAfter` response header.
+ */
+const LIMIT_EXCEEDED_SCHEMA = {
+  type: 'error',
+  name: 'verdon.LimitExceeded',
+  fields: [
+    {name: 'code', type: 'string'},
+    {name: 'message', type: 'string'},
+    {name: 'retryAfter', type: 'long'}
+  ]
+};
+
+/**
+ * Token bucket rate limiting middleware.
+ *
+ * Each caller gets a bucket per message (or a single one across messages),
+ * which refills continuously at the configured rate. Calls arriving when the
+ * bucket is empty are rejected with code `RATE_LIMITED`.
+ *
+ * @param server {Server} Server to instrument.
+ * @param opts {Object} Options:
+ *  + rate {Number} Calls allowed per second.
+ *  + burst {Number} Bucket capacity, i.e. the number of calls which can be
+ *    made in a short burst. Defaults to the rate.
+ *  + messages {Object} Per-message overrides, mapping message names to objects
+ *    with `rate` and `burst` keys (the latter defaulting to the former).
+ *  + perMessage {Boolean} Whether each message has its own bucket. Defaults to
+ *    true.
+ *  + identity {Function} Function called with each call's context and wrapped
+ *    request, returning a string identifying the caller (for example from one
+ *    of the request's headers). By default the principal stored in locals by
+ *    proxies is used, compared by value if primitive (e.g. a string) and by
+ *    reference otherwise (see `serverCaching`): receivers which create a new
+ *    principal object for each request should reuse them or pass an identity
+ *    function, otherwise each request gets its own bucket.
+ *  + principalKey {String} Locals key of the principal, for the default
+ *    identity function.
+ */
+function rateLimitServer(server, {
+  rate,
+  burst = rate,
+  messages = {},
+  perMessage = true,
+  identity = null,
+  principalKey = PRINCIPAL_KEY
+} = {}) {
+  if (!(rate > 0)) {
+    throw new Error(`invalid rate: ${rate}`);
+  }
+  identity = identity || function (ctx) {
+    return utils.principalIdentity(ctx.locals[principalKey]);
+  };
+  const buckets = new Map();
+
+  return function (wreq, wres, next) {
+    const name = this.message.name;
+    const override = messages[name];
+    const limits = override ?
+      {rate: override.rate, burst: override.burst || override.rate} :
+      {rate, burst};
+    const key = JSON.stringify([identity(this, wreq), perMessage ? name : '']);
+    const now = Date.now();
+    let bucket = buckets.get(key);
+    if (bucket) {
+      refill(bucket, now);
+    } else {
+      if (buckets.size >= MAX_BUCKETS) {
+        pruneBuckets(buckets, now);
+      }
+      bucket = {limits, tokens: limits.burst, updatedAt: now};
+      buckets.set(key, bucket);
+    }
+    if (bucket.tokens < 1) {
+      const retryAfter = Math.ceil(1000 * (1 - bucket.tokens) / limits.rate);
+      debug('rate limiting %s (retry after %sms)', name, retryAfter);
+      reject(this.message, wres, next, 'RATE_LIMITED', retryAfter);
+      return;
+    }
+    bucket.tokens--;
+    next();
+  };
+}
+
+/**
+ * Concurrency limiting middleware.
+ *
+ * Calls received while too many are being handled are queued, then rejected
+ * with code `TOO_MANY_CALLS` if the queue is full or they wait for too long.
+ *
+ * @param server {Server} Server to instrument.
+ * @param opts {Object} Options:
+ *  + maxConcurrent {Number} Maximum number of calls handled concurrently.
+ *  + maxQueued {Number} Maximum number of calls waiting for a slot. Defaults
+ *    to zero, i.e. excess calls are rejected immediately.
+ *  + queueTimeout {Number} Maximum time calls wait in the queue, in
+ *    milliseconds. Unlimited by default.
+ *  + retryAfter {Number} Retry delay returned with rejections, in
+ *    milliseconds.
+ */
+function limitConcurrency(server, {
+  maxConcurrent,
+  maxQueued = 0,
+  queueTimeout = 0,
+  retryAfter = 1000
+} = {}) {
+  if (!(maxConcurrent > 0)) {
+    throw new Error(`invalid concurrency: ${maxConcurrent}`);
+  }
+  let active = 0;
+  const queue = [];
+
+  return function (wreq, wres, next) {
+    const msg = this.message;
+    if (active < maxConcurrent) {
+      start();
+      return;
+    }
+    if (queue.length >= maxQueued) {
+      debug('too many calls, rejecting %s', msg.name);
+      reject(msg, wres, next, 'TOO_MANY_CALLS', retryAfter);
+      return;
+    }
+    const entry = {start, timer: null};
+    if (queueTimeout) {
+      entry.timer = setTimeout(function () {
+        queue.splice(queue.indexOf(entry), 1);
+        debug('call to %s waited too long', msg.name);
+        reject(msg, wres, next, 'TOO_MANY_CALLS', retryAfter);
+      }, queueTimeout);
+    }
+    queue.push(entry);
+
+    function start() {
+      active++;
+      next(null, function (err, prev) {
+        active--;
+        const entry = queue.shift();
+        if (entry) {
+          clearTimeout(entry.timer);
+          entry.start();
+        }
+        prev(err);
+      });
+    }
+  };
+}
+
+// Helpers.
+
+/** Add tokens accumulated since a bucket's last update. */
+function refill(bucket, now) {
+  const {rate, burst} = bucket.limits;
+  const tokens = bucket.tokens + rate * (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(burst, tokens);
+  bucket.updatedAt = now;
+}
+
+/** Remove buckets which are full, these are equivalent to missing ones. */
+function pruneBuckets(buckets, now) {
+  for (const [key, bucket] of buckets) {
+    refill(bucket, now);
+    if (bucket.tokens >= bucket.limits.burst) {
+      buckets.delete(key);
+    }
+  }
+}
+
+/** Reject a call, bypassing its handler. */
+function reject(msg, wres, next, code, retryAfter) {
+  const message = code === 'RATE_LIMITED' ?
+    'rate limit exceeded' :
+    'too many concurrent calls';
+  if (!wres) {
+    // One-way messages can't return errors.
+    next(new SystemError(code, message));
+    return;
+  }
+  wres.headers[RETRY_AFTER_HEADER] = RETRY_AFTER_TYPE.toBuffer(retryAfter);
+  const errorType = msg.errorType.types
+    .find((type) => type.name === LIMIT_EXCEEDED_SCHEMA.name);
+  if (errorType) {
+    wres.error = errorValue(msg, errorType, {code, message, retryAfter});
+  } else {
+    const details = `${message}, retry after ${retryAfter}ms`;
+    wres.error = encodeSystemError(new SystemError(code, details), msg);
+  }
+  next();
+}
+
+
+module.exports = {
+  LIMIT_EXCEEDED_SCHEMA,
+  serverConcurrencyLimit: function (opts) {
+    return function (server) { return limitConcurrency(server, opts); };
+  },
+  serverRateLimit: function (opts) {
+    return function (server) { return rateLimitServer(server, opts); };
+  }
+};
@@ -0,0 +1,377 @@
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+/** Call metrics for clients, servers, and proxies. */
+
+const {isWrappedRetry} = require('./resilience');
+
+const util = require('util');
+
+const debug = util.debuglog('verdon:metrics');
+
+// Default latency histogram buckets, in seconds (the same as Prometheus'
+// official clients).
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10
+];
+
+// Content type of the Prometheus text exposition format.
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Error type label used for errors which aren't part of the message's
+// protocol (e.g. transport failures or timeouts).
+const SYSTEM_ERROR_TYPE = 'system';
+
+/**
+ * Base metric, holding one value per combination of labels.
+ *
+ * Labels are passed as objects mapping label names to values; all values of a
+ * given metric should use the same label names.
+ */
+class Metric {
+
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this._values = new Map(); // Keyed by serialized labels.
+  }
+
+  /** Current value for the given labels. */
+  get(labels) {
+    const entry = this._values.get(labelsKey(labels));
+    return entry ? entry.value : undefined;
+  }
+
+  /** Prometheus text format representation of this metric's values. */
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${escapeHelp(this.help)}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+    for (const {labels, value} of this._values.values()) {
+      lines.push(...this._renderValue(labels, value));
+    }
+    return lines.join('\n');
+  }
+
+  _entry(labels, init) {
+    const key = labelsKey(labels);
+    let entry = this._values.get(key);
+    if (!entry) {
+      entry = {labels: Object.assign({}, labels), value: init()};
+      this._values.set(key, entry);
+    }
+    return entry;
+  }
+
+  _renderValue(labels, value) {
+    return [`${this.name}${formatLabels(labels)} ${formatNumber(value)}`];
+  }
+}
+
+/** Monotonically increasing metric. */
+class Counter extends Metric {
+
+  get type() { return 'counter'; }
+
+  inc(labels, n = 1) {
+    if (n < 0) {
+      throw new Error(`counters can't decrease: ${this.name}`);
+    }
+    this._entry(labels, () => 0).value += n;
+  }
+}
+
+/** Metric which can go up and down. */
+class Gauge extends Metric {
+
+  get type() { return 'gauge'; }
+
+  inc(labels, n = 1) {
+    this._entry(labels, () => 0).value += n;
+  }
+
+  dec(labels, n = 1) {
+    this.inc(labels, -n);
+  }
+
+  set(labels, n) {
+    this._entry(labels, () => 0).value = n;
+  }
+}
+
+/** Distribution of observations (e.g. latencies) over fixed buckets. */
+class Histogram extends Metric {
+
+  constructor(name, help, buckets) {
+    super(name, help);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  get type() { return 'histogram'; }
+
+  observe(labels, val) {
+    const value = this._entry(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    })).value;
+    this.buckets.forEach((bound, i) => {
+      if (val <= bound) {
+        value.counts[i]++;
+      }
+    });
+    value.sum += val;
+    value.count++;
+  }
+
+  _renderValue(labels, value) {
+    const bucket = (le, count) => {
+      const bucketLabels = Object.assign({}, labels, {le});
+      return `${this.name}_bucket${formatLabels(bucketLabels)} ${count}`;
+    };
+    const lines = this.buckets
+      .map((bound, i) => bucket(formatNumber(bound), value.counts[i]));
+    const suffix = formatLabels(labels);
+    lines.push(
+      bucket('+Inf', value.count),
+      `${this.name}_sum${suffix} ${formatNumber(value.sum)}`,
+      `${this.name}_count${suffix} ${value.count}`
+    );
+    return lines;
+  }
+}
+
+/**
+ * Collection of metrics.
+ *
+ * Requesting a metric which already exists returns it, this way several
+ * clients or servers can share the same registry.
+ */
+class Registry {
+
+  constructor() {
+    this._metrics = new Map();
+  }
+
+  /** HTTP content type of rendered metrics. */
+  get contentType() {
+    return CONTENT_TYPE;
+  }
+
+  counter(name, help) {
+    return this._metric(Counter, name, help);
+  }
+
+  gauge(name, help) {
+    return this._metric(Gauge, name, help);
+  }
+
+  histogram(name, help, {buckets = DEFAULT_BUCKETS} = {}) {
+    return this._metric(Histogram, name, help, buckets);
+  }
+
+  /** Get a metric by name. */
+  get(name) {
+    return this._metrics.get(name);
+  }
+
+  /** Render all metrics in Prometheus text exposition format. */
+  render() {
+    const blocks = [];
+    for (const metric of this._metrics.values()) {
+      blocks.push(metric.render());
+    }
+    return blocks.length ? `${blocks.join('\n')}\n` : '';
+  }
+
+  _metric(Class, name, help, ...args) {
+    let metric = this._metrics.get(name);
+    if (metric) {
+      if (!(metric instanceof Class)) {
+        throw new Error(`incompatible metric: ${name}`);
+      }
+      return metric;
+    }
+    debug('registering metric %s', name);
+    metric = new Class(name, help, ...args);
+    this._metrics.set(name, metric);
+    return metric;
+  }
+}
+
+/** Create an empty registry. */
+function createRegistry() {
+  return new Registry();
+}
+
+/**
+ * Client metrics middleware.
+ *
+ * The following metrics are recorded, each labeled by `protocol` and
+ * `message`:
+ *  + `<prefix>_calls_total`, a counter of all emitted calls.
+ *  + `<prefix>_errors_total`, a counter of failed calls, also labeled by error
+ *    `type`. This is the name of the error's branch in the message's errors
+ *    union (e.g. `string`), or `system` for errors outside the protocol.
+ *  + `<prefix>_one_way_total`, a counter of one-way calls.
+ *  + `<prefix>_duration_seconds`, a histogram of call latencies (two-way calls
+ *    only).
+ *
+ * When used before the retry middleware (see `clientRetries`), retries aren't
+ * counted separately: their original call's latency and outcome include them.
+ *
+ * @param opts {Object} Options:
+ *  + registry {Registry} Registry where metrics are stored.
+ *  + prefix {String} Prefix of all metrics' names. Defaults to
+ *    `verdon_client`.
+ *  + buckets {Array} Latency histogram buckets, in seconds.
+ */
+function clientMetrics(opts) {
+  return function (client) {
+    return callMetrics(client.service, 'verdon_client', opts);
+  };
+}
+
+/**
+ * Server metrics middleware.
+ *
+ * The metrics recorded are the same as `clientMetrics`' (with default prefix
+ * `verdon_server`), latencies measure the time spent handling each call.
+ */
+function serverMetrics(opts) {
+  return function (server) {
+    return callMetrics(server.service, 'verdon_server', opts);
+  };
+}
+
+/**
+ * Track proxy channels.
+ *
+ * This maintains a `<prefix>_channels` gauge of the number of open channels,
+ * labeled by `scope`. Its values are the key of the binding each channel was
+ * routed to rather than the requested scope, so that wildcard bindings don't
+ * add a series per requested scope.
+ *
+ * @param proxy {HttpProxy} The proxy to instrument.
+ * @param opts {Object} Options:
+ *  + registry {Registry} Registry where metrics are stored.
+ *  + prefix {String} Prefix of the gauge's name. Defaults to `verdon_proxy`.
+ */
+function trackProxy(proxy, {registry, prefix = 'verdon_proxy'} = {}) {
+  if (!registry) {
+    throw new Error('missing registry');
+  }
+  const gauge = registry.gauge(`${prefix}_channels`, 'Open channels.');
+  proxy.on('channel', function (channel, scope, key) {
+    const labels = {scope: key};
+    gauge.inc(labels);
+    channel.once('eot', function () { gauge.dec(labels); });
+  });
+}
+
+// Helpers.
+
+/** Middleware shared by clients and servers. */
+function callMetrics(svc, defaultPrefix, {
+  registry,
+  prefix = defaultPrefix,
+  buckets = DEFAULT_BUCKETS
+} = {}) {
+  if (!registry) {
+    throw new Error('missing registry');
+  }
+  const calls = registry.counter(`${prefix}_calls_total`, 'Calls.');
+  const errors = registry.counter(`${prefix}_errors_total`, 'Failed calls.');
+  const oneWays = registry.counter(
+    `${prefix}_one_way_total`, 'One-way calls.');
+  const durations = registry.histogram(
+    `${prefix}_duration_seconds`, 'Call latencies, in seconds.', {buckets});
+
+  return function (wreq, wres, next) {
+    if (isWrappedRetry(this.locals)) {
+      next(); // Recorded by the original call.
+      return;
+    }
+    const msg = this.message;
+    const labels = {protocol: svc.name, message: msg.name};
+    calls.inc(labels);
+    if (msg.oneWay) {
+      oneWays.inc(labels);
+      next();
+      return;
+    }
+    const start = process.hrtime();
+    next(null, function (err, prev) {
+      const delta = process.hrtime(start);
+      durations.observe(labels, delta[0] + delta[1] / 1e9);
+      let type;
+      if (err) {
+        type = SYSTEM_ERROR_TYPE;
+      } else if (wres && wres.error !== undefined) {
+        type = errorType(msg, wres.error);
+      }
+      if (type) {
+        errors.inc(Object.assign({}, labels, {type}));
+      }
+      prev(err);
+    });
+  };
+}
+
+/** Name of the branch of a message's errors union matching an error. */
+function errorType(msg, err) {
+  for (const type of msg.errorType.types) {
+    if (type.isValid(err)) {
+      return type.branchName;
+    }
+  }
+  // Other error instances are sent as strings.
+  return err instanceof Error ? 'string' : SYSTEM_ERROR_TYPE;
+}
+
+/** Canonical representation of labels, used to index metric values. */
+function labelsKey(labels) {
+  return JSON.stringify(Object.keys(labels || {}).sort()
+    .map((name) => [name, '' + labels[name]]));
+}
+
+/** Format labels as `{name="value",...}` (or nothing, if empty). */
+function formatLabels(labels) {
+  const names = Object.keys(labels || {});
+  if (!names.length) {
+    return '';
+  }
+  const pairs = names.map((name) => `${name}="${escapeLabel(labels[name])}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+function formatNumber(n) {
+  if (n === Infinity) {
+    return '+Inf';
+  }
+  if (n === -Infinity) {
+    return '-Inf';
+  }
+  return '' + n;
+}
+
+function escapeLabel(val) {
+  return ('' + val)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+function escapeHelp(str) {
+  return str.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+
+module.exports = {
+  clientMetrics,
+  createRegistry,
+  serverMetrics,
+  trackProxy
+};
@@ -0,0 +1,209 @@
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+/** Load-balancing across several upstream channels. */
+
+const events = require('events');
+const util = require('util');
+
+const debug = util.debuglog('verdon:pool');
+
+/**
+ * Channel selection strategies.
+ *
+ * Each is a factory returning a function which picks a channel among an array
+ * of (healthy) candidates.
+ */
+const STRATEGIES = {
+  leastPending: function () {
+    let index = 0; // To break ties fairly.
+    return function (channels) {
+      index = (index + 1) % channels.length;
+      let best = null;
+      for (let i = 0; i < channels.length; i++) {
+        const channel = channels[(index + i) % channels.length];
+        if (!best || channel.pending < best.pending) {
+          best = channel;
+        }
+      }
+      return best;
+    };
+  },
+  roundRobin: function () {
+    let index = 0;
+    return function (channels) {
+      index = (index + 1) % channels.length;
+      return channels[index];
+    };
+  }
+};
+
+/**
+ * Client spreading calls over multiple upstreams.
+ *
+ * Each of the pool's client's channels is an upstream, whether created via
+ * `addUpstream` (e.g. on a tunnel to a backend) or by a proxy when the pool's
+ * provider is bound to a scope (e.g. for backends connecting to the proxy).
+ *
+ * Upstreams are checked passively: calls failing with a system error (a
+ * destroyed channel, a timeout, ...) count against the channel which emitted
+ * them. After too many consecutive failures, the upstream is ejected from the
+ * rotation for some time. If all upstreams are ejected, calls are spread
+ * across all of them rather than failing outright.
+ *
+ * The following events are emitted:
+ *  + `'eject'`, with the ejected channel and the error which triggered it.
+ *  + `'restore'`, with the channel, once it is back in rotation.
+ */
+class ClientPool extends events.EventEmitter {
+
+  constructor(svc, {
+    strategy = 'roundRobin',
+    maxErrors = 5,
+    ejectionTime = 30000,
+    clientOpts = {}
+  } = {}) {
+    super();
+    if (typeof strategy != 'function') {
+      if (!STRATEGIES[strategy]) {
+        throw new Error(`unknown strategy: ${strategy}`);
+      }
+      strategy = STRATEGIES[strategy]();
+    }
+    this._strategy = strategy;
+    this._maxErrors = maxErrors;
+    this._ejectionTime = ejectionTime;
+    this._states = new WeakMap(); // Health, by channel.
+    this._timers = new Set(); // Ejection timers, cleared on close.
+    const opts = Object.assign({buffering: true}, clientOpts, {
+      channelPolicy: (channels) => this._selectChannel(channels)
+    });
+    this.client = svc.createClient(opts).use(this._healthMiddleware());
+  }
+
+  /**
+   * Add an upstream.
+   *
+   * @param transport {Object} Any transport accepted by a client's
+   * `createChannel` method.
+   * @param opts {Object} Channel options (e.g. `scope`).
+   */
+  addUpstream(transport, opts) {
+    const channel = this.client.createChannel(transport, opts);
+    debug('added upstream');
+    return channel;
+  }
+
+  /**
+   * Client provider, suitable for a proxy's `bindClientProvider`.
+   *
+   * Channels created by the proxy are then added to the pool's upstreams.
+   */
+  provider() {
+    return () => this.client;
+  }
+
+  /** Snapshot of each active upstream's health. */
+  upstreams() {
+    return this.client.activeChannels().map((channel) => {
+      const state = this._getState(channel);
+      return {
+        channel,
+        ejected: state.ejected,
+        errors: state.errors,
+        pending: channel.pending
+      };
+    });
+  }
+
+  /** Destroy all upstreams. */
+  close() {
+    for (const timer of this._timers) {
+      clearTimeout(timer);
+    }
+    this._timers.clear();
+    this.client.destroyChannels({noWait: true});
+  }
+
+  _getState(channel) {
+    let state = this._states.get(channel);
+    if (!state) {
+      state = {errors: 0, ejected: false, timer: null};
+      this._states.set(channel, state);
+      channel.once('eot', () => {
+        if (state.timer) {
+          clearTimeout(state.timer);
+          this._timers.delete(state.timer);
+        }
+      });
+    }
+    return state;
+  }
+
+  _selectChannel(channels) {
+    const healthy = channels.filter((c) => !this._getState(c).ejected);
+    return this._strategy(healthy.length ? healthy : channels);
+  }
+
+  /** Client middleware recording the outcome of each call. */
+  _healthMiddleware() {
+    const self = this;
+    return function (wreq, wres, next) {
+      const channel = this.channel;
+      next(null, function (err, prev) {
+        if (err instanceof Error) {
+          self._onFailure(channel, err);
+        } else {
+          self._getState(channel).errors = 0;
+        }
+        prev(err);
+      });
+    };
+  }
+
+  _onFailure(channel, err) {
+    const state = this._getState(channel);
+    state.errors++;
+    if (state.ejected || state.errors < this._maxErrors) {
+      return;
+    }
+    debug('ejecting upstream after %s errors', state.errors);
+    state.ejected = true;
+    state.timer = setTimeout(() => {
+      this._timers.delete(state.timer);
+      state.timer = null;
+      state.ejected = false;
+      state.errors = 0;
+      debug('restoring upstream');
+      this.emit('restore', channel);
+    }, this._ejectionTime);
+    this._timers.add(state.timer);
+    this.emit('eject', channel, err);
+  }
+}
+
+/**
+ * Create a load-balancing pool of upstreams.
+ *
+ * @param svc {Service} The service exposed by all upstreams.
+ * @param opts {Object} Options:
+ *  + strategy {String|Function} Channel selection strategy, either
+ *    `'roundRobin'` (the default), `'leastPending'` (the channel with the
+ *    fewest outstanding calls), or a function called with the array of healthy
+ *    channels and returning one of them.
+ *  + maxErrors {Number} Consecutive failures after which an upstream is
+ *    ejected. Defaults to 5.
+ *  + ejectionTime {Number} Duration of ejections, in milliseconds. Defaults to
+ *    30 seconds.
+ *  + clientOpts {Object} Options passed to the pool's client. Calls are
+ *    buffered until the first upstream is added by default.
+ */
+function createPool(svc, opts) {
+  return new ClientPool(svc, opts);
+}
+
+
+module.exports = {
+  createPool
+};
@@ -1,18 +1,16 @@
 /* jshint esversion: 6, node: true */
 
-// TODO: Allow support for late server bindinging. Or some way of indicating
-// which servers are ready and which aren't. Related to the proxy's status: OK
-// only when all servers have been bindinged. This will be done as follows:
-// Servers will be registered separately (likely on an "envelope" TBD) and this
-// envelope will be started with a list of services that it should expose. The
-// status will be OK when all these services' servers have been registered
-// (registration also bindings them).
-
 'use strict';
 
 /** Infrastructure. */
 
+const {SystemError, encodeSystemError} = require('./errors');
+const metrics = require('./metrics');
+const tracing = require('./tracing');
+
+const Promise = require('bluebird');
 const avro = require('avsc');
+const crypto = require('crypto');
 const events = require('events');
 const http = require('http');
 const stream = require('stream');
@@ -25,181 +23,1132 @@ const debug = util.debuglog('verdon:proxy');
 
 const HEADERS_TYPE = avro.Type.forSchema({type: 'map', values: 'bytes'});
 
-/** HTTP service proxy. */
+// Default key used in call locals to store the receiver's principal.
+const PRINCIPAL_KEY = 'principal';
+
+// Default key used in call locals to store the channel's scope.
+const SCOPE_KEY = 'scope';
+
+// Default maximum size of POST request bodies, in bytes.
+const MAX_BODY_SIZE = 1 << 20;
+
+// Default delay after which requests waiting for a binding are rejected.
+const BINDING_TIMEOUT = 30000;
+
+// Byte counts of keep-alive connections when their last request was logged.
+const SOCKET_OFFSETS = new WeakMap();
+
+/**
+ * HTTP service proxy.
+ *
+ * Scopes which the proxy must expose can be declared up front (see
+ * `createProxy`), the proxy will then only be ready once each of them has a
+ * server or client provider bound. Requests for these scopes before then will
+ * wait until their binding is available (or be rejected, if buffering is
+ * disabled or the binding takes too long). A `'ready'` event is emitted when
+ * the last expected scope gets bound.
+ *
+ * Scopes can be hierarchical (e.g. `billing/v2`), and bindings can use
+ * wildcards to match all scopes under a prefix (`billing/*`) or any scope
+ * (`*`). Requests are routed to the most specific binding. Bindings can be
+ * replaced or removed at any time; channels created on the previous binding
+ * are then drained.
+ *
+ * Each request is authenticated by the proxy's receiver, which can return a
+ * principal. This principal is then checked against the requested scopes and
+ * messages (see the `authorize` option) and made available to servers in their
+ * calls' locals, along with the scope.
+ *
+ * A `'channel'` event is emitted with each created channel, its scope, and the
+ * key of the binding it was routed to (e.g. `tenants/*`).
+ *
+ * If an access log is configured, the proxy also emits one record per HTTP
+ * request, upgrade, channel opened and closed, and (for `avro/json` requests)
+ * message. Each record has a `kind`, a `time`, and fields describing the
+ * caller (`remoteAddress`, `principal`), the `transport` used, and the outcome
+ * (e.g. `status`, `duration` in milliseconds). Byte counts include HTTP
+ * headers.
+ *
+ * Once closed (see `close`), the proxy rejects new channels and emits a
+ * `'close'` event when all its channels are drained.
+ */
 class HttpProxy extends events.EventEmitter {
 
-  constructor(receiver) {
+  constructor(receiver, {
+    scopes = [],
+    bufferChannels = true,
+    bindingTimeout = BINDING_TIMEOUT,
+    authorize = null,
+    principalKey = PRINCIPAL_KEY,
+    scopeKey = SCOPE_KEY,
+    receiverInfo = false,
+    maxBodySize = MAX_BODY_SIZE,
+    maxMessageSize = Infinity,
+    maxChannelsPerScope = Infinity,
+    handshakeTimeout = 0,
+    idleTimeout = 0,
+    registry = null,
+    accessLog = null
+  } = {}) {
     super();
     this._bindings = new Map();
     this._receiver = receiver;
+    this._receiverInfo = receiverInfo;
+    this._expectedScopes = new Set(scopes);
+    this._pendingScopes = new Set(scopes);
+    this._bufferChannels = bufferChannels;
+    this._bufferedChannels = [];
+    this._bindingTimeout = bindingTimeout;
+    this._bindingWaiters = new Set(); // Functions called on each new binding.
+    this._authorize = authorize;
+    this._principalKey = principalKey;
+    this._scopeKey = scopeKey;
+    this._guardedServers = new WeakSet();
+    this._channelGrants = new WeakMap();
+    this._maxBodySize = maxBodySize;
+    this._maxMessageSize = maxMessageSize;
+    this._maxChannelsPerScope = maxChannelsPerScope;
+    this._handshakeTimeout = handshakeTimeout;
+    this._idleTimeout = idleTimeout;
+    this._channelCounts = new Map(); // Open channels, by binding key.
+    this._getRoutes = []; // Predicates matching requests for GET handlers.
+    this._registry = registry;
+    this._accessLog = accessLogger(accessLog);
+    this._closed = false;
+    if (registry) {
+      metrics.trackProxy(this, {registry});
+    }
+  }
+
+  /** Emit an access log record, if enabled. */
+  _log(kind, fields) {
+    if (this._accessLog) {
+      const time = new Date().toISOString();
+      this._accessLog(Object.assign({kind, time}, fields));
+    }
+  }
+
+  /** Whether all expected scopes have been bound. */
+  isReady() {
+    return !this._pendingScopes.size;
+  }
+
+  /** Expected scopes which don't have a binding yet. */
+  pendingScopes() {
+    return Array.from(this._pendingScopes);
   }
 
+  /**
+   * Create client channels on requests to a given scope.
+   *
+   * The provider is called for each new channel and should return the client
+   * to create it on. The scope can contain wildcards, and any existing binding
+   * under the same scope will be replaced.
+   */
   bindClientProvider(clientProvider, {scope = ''} = {}) {
-    this._bindings.set(scope, {clientProvider, scope});
+    this._setBinding({clientProvider, scope, channels: new Set()});
     return this;
   }
 
+  /**
+   * Expose a server under a given scope.
+   *
+   * As for client providers, the scope can contain wildcards and any existing
+   * binding will be replaced. Note that this adds a middleware to the server,
+   * enforcing message-level permissions on calls received via this proxy.
+   */
   bindServer(server, {scope = ''} = {}) {
-    this._bindings.set(scope, {scope, server});
+    if (!this._guardedServers.has(server)) {
+      this._guardedServers.add(server);
+      server.use(this._guardMiddleware());
+    }
+    this._setBinding({scope, server, channels: new Set()});
     this.emit('server', server, scope);
     return this;
   }
 
-  createChannels(transport, scopes, {objectMode = false} = {}) {
+  /**
+   * Remove a scope's binding.
+   *
+   * Channels already created on it are drained: they are destroyed once their
+   * pending calls complete (or immediately, with the `noWait` option). If the
+   * scope was expected, the proxy isn't ready anymore until it is bound again
+   * and new channels will be buffered until then.
+   */
+  unbind(scope, {noWait = false} = {}) {
+    const binding = this._bindings.get(scope);
+    if (!binding) {
+      return this;
+    }
+    debug('unbinding scope %s', scope);
+    this._bindings.delete(scope);
+    if (this._expectedScopes.has(scope)) {
+      this._pendingScopes.add(scope);
+    }
+    drainBinding(binding, noWait);
+    this.emit('unbind', scope);
+    return this;
+  }
+
+  /**
+   * Stop accepting channels and drain existing ones.
+   *
+   * Channels are destroyed once their pending calls complete (or immediately,
+   * with the `noWait` option). Channel creations buffered until their scope is
+   * bound are abandoned, along with their transports.
+   *
+   * @param opts {Object} Options:
+   *  + noWait {Boolean} Don't wait for pending calls to complete.
+   * @param cb {Function} Called once all channels have ended. If omitted, a
+   * promise is returned instead.
+   */
+  close(opts, cb) {
+    if (!cb && typeof opts == 'function') {
+      cb = opts;
+      opts = undefined;
+    }
+    if (!cb) {
+      return Promise.fromCallback((cb) => { this.close(opts, cb); });
+    }
+    const noWait = !!(opts && opts.noWait);
+    this._closed = true;
+    for (const {transport, timer} of this._bufferedChannels) {
+      clearTimeout(timer);
+      destroyTransport(transport);
+    }
+    this._bufferedChannels = [];
+    for (const waiter of this._bindingWaiters) {
+      waiter(); // No scope, the waiter will fail.
+    }
+    const channels = [];
+    for (const binding of this._bindings.values()) {
+      channels.push(...binding.channels);
+    }
+    const onDrained = () => {
+      this.emit('close');
+      cb();
+    };
+    let pending = channels.length;
+    debug('closing proxy, draining %s channel(s)', pending);
+    if (!pending) {
+      process.nextTick(onDrained);
+      return;
+    }
+    for (const channel of channels) {
+      // Idle channels end synchronously.
+      channel.once('eot', () => {
+        if (!--pending) {
+          onDrained();
+        }
+      });
+      channel.destroy(noWait);
+    }
+  }
+
+  /**
+   * Create channels for each scope on a transport.
+   *
+   * If a scope is expected but not yet bound, channel creation will be delayed
+   * until its binding is available. The transport is destroyed if creation
+   * fails then, or if the binding isn't available within the proxy's binding
+   * timeout (errors are otherwise returned).
+   *
+   * The principal option, if specified, will be available in the locals of
+   * each call received on server channels. Similarly, the trace context
+   * option (as returned by `readTraceContext`) is used to seed traces of
+   * incoming calls which don't carry one. Finally, the log fields are added
+   * to each channel's access log records.
+   *
+   * Channels are also subject to the proxy's limits: on stream transports,
+   * messages larger than the maximum message size will destroy the transport
+   * and channels which don't handshake in time or stay idle too long will be
+   * destroyed.
+   */
+  createChannels(transport, scopes, opts) {
+    const {
+      objectMode = false,
+      principal,
+      traceContext,
+      logFields
+    } = opts || {};
+    const err = this._checkChannels(scopes, typeof transport == 'function');
+    if (err) {
+      return err;
+    }
     const bindings = [];
     for (const scope of scopes) {
-      const binding = this._bindings.get(scope);
-      if (!binding || !binding.server && typeof transport == 'function') {
-        return new Error(`invalid scope: ${scope}`);
+      const key = this._routeScope(scope);
+      if (this._pendingScopes.has(key)) {
+        debug('buffering channel creation until %s is bound', scope);
+        this._bufferChannel(transport, scopes, opts);
+        return;
       }
-      bindings.push(binding);
+      bindings.push({binding: this._bindings.get(key), key, scope});
+    }
+    const channels = [];
+    if (
+      !objectMode &&
+      typeof transport != 'function' &&
+      this._maxMessageSize < Infinity
+    ) {
+      transport = this._limitMessageSize(transport, channels);
     }
-    for (const binding of bindings) {
-      debug('creating channel with scope %s', binding.scope);
+    for (const {binding, key, scope} of bindings) {
+      debug('creating channel with scope %s', scope);
       const channel = (binding.server || binding.clientProvider())
-        .createChannel(transport, {objectMode, scope: binding.scope});
-      this.emit('channel', channel);
+        .createChannel(transport, {objectMode, scope});
+      channels.push(channel);
+      binding.channels.add(channel);
+      channel.once('eot', () => { binding.channels.delete(channel); });
+      this._trackChannel(channel, scope, key);
+      this._logChannel(channel, Object.assign({scope, principal}, logFields));
+      if (binding.server) {
+        const principalKey = this._principalKey;
+        const scopeKey = this._scopeKey;
+        this._channelGrants.set(channel, {principal, scope});
+        channel.on('incomingCall', function (ctx) {
+          ctx.locals[principalKey] = principal;
+          ctx.locals[scopeKey] = scope;
+          if (traceContext) {
+            tracing.seedTrace(ctx.locals, traceContext);
+          }
+        });
+      }
+      this.emit('channel', channel, scope, key);
+    }
+  }
+
+  /**
+   * Delay a transport's channel creation until its pending scopes are bound,
+   * destroying the transport if they aren't bound in time.
+   */
+  _bufferChannel(transport, scopes, opts) {
+    const buffered = {transport, scopes, opts, timer: null};
+    if (this._bindingTimeout) {
+      buffered.timer = setTimeout(() => {
+        debug('timed out waiting for scopes: %s', scopes.join(', '));
+        const index = this._bufferedChannels.indexOf(buffered);
+        if (~index) {
+          this._bufferedChannels.splice(index, 1);
+        }
+        destroyTransport(transport);
+      }, this._bindingTimeout);
+    }
+    this._bufferedChannels.push(buffered);
+  }
+
+  /**
+   * Check whether channels can be created for each scope, without creating
+   * them. This lets handlers reject requests while they can still reply.
+   *
+   * @param scopes {Array} Requested scopes.
+   * @param stateless {Boolean} Whether the channels would be stateless, only
+   * scopes bound to a server support these.
+   */
+  _checkChannels(scopes, stateless) {
+    if (this._closed) {
+      return new SystemError('UNAVAILABLE', 'proxy closed');
+    }
+    for (const scope of scopes) {
+      const key = this._routeScope(scope);
+      if (this._pendingScopes.has(key)) {
+        if (!this._bufferChannels) {
+          return new SystemError('UNAVAILABLE', `unavailable scope: ${scope}`);
+        }
+        continue;
+      }
+      const binding = this._bindings.get(key);
+      if (!binding || !binding.server && stateless) {
+        return new SystemError('NOT_FOUND', `invalid scope: ${scope}`);
+      }
+      if (this._channelCount(key) >= this._maxChannelsPerScope) {
+        const msg = `too many channels for scope: ${scope}`;
+        return new SystemError('UNAVAILABLE', msg);
+      }
+    }
+  }
+
+  /** Log a channel's creation and, later, its teardown. */
+  _logChannel(channel, fields) {
+    if (!this._accessLog) {
+      return;
+    }
+    const start = Date.now();
+    this._log('channel', Object.assign({event: 'open'}, fields));
+    channel.once('eot', (pending, err) => {
+      const duration = Date.now() - start;
+      const error = err ? err.message : undefined;
+      this._log('channel', Object.assign({event: 'close'}, fields, {
+        duration,
+        error
+      }));
+    });
+  }
+
+  /**
+   * Number of channels currently open on a binding key. Scopes routed to the
+   * same (wildcard) binding share their count.
+   */
+  _channelCount(key) {
+    return this._channelCounts.get(key) || 0;
+  }
+
+  /** Maintain channel counts and enforce timeouts. */
+  _trackChannel(channel, scope, key) {
+    const idleTimeout = this._idleTimeout;
+    this._channelCounts.set(key, this._channelCount(key) + 1);
+    let timer = null;
+    if (this._handshakeTimeout) {
+      timer = setTimeout(() => {
+        debug('channel with scope %s failed to handshake in time', scope);
+        channel.destroy(new Error('handshake timeout'));
+      }, this._handshakeTimeout);
+      channel.once('handshake', resetTimer);
+    } else {
+      resetTimer();
+    }
+    if (idleTimeout) {
+      channel
+        .on('incomingCall', resetTimer)
+        .on('outgoingCall', resetTimer);
+    }
+    channel.once('eot', () => {
+      clearTimeout(timer);
+      const count = this._channelCount(key) - 1;
+      if (count) {
+        this._channelCounts.set(key, count);
+      } else {
+        this._channelCounts.delete(key);
+      }
+    });
+
+    function resetTimer() {
+      clearTimeout(timer);
+      timer = null;
+      if (idleTimeout) {
+        timer = setTimeout(onIdle, idleTimeout);
+      }
+    }
+
+    function onIdle() {
+      if (channel.pending) {
+        resetTimer();
+        return;
+      }
+      debug('destroying idle channel with scope %s', scope);
+      channel.destroy(true);
+    }
+  }
+
+  /**
+   * Wrap a stream transport to check the size of incoming messages.
+   *
+   * If a message is too large, the transport and all its channels are
+   * destroyed (before the message is buffered).
+   */
+  _limitMessageSize(transport, channels) {
+    let readable, writable;
+    if (transport.pipe) {
+      readable = writable = transport;
+    } else {
+      readable = transport.readable;
+      writable = transport.writable;
+    }
+    const limiter = new MessageSizeLimiter(this._maxMessageSize)
+      .on('error', (err) => {
+        debug('destroying transport: %s', err.message);
+        readable.unpipe(limiter);
+        for (const channel of channels) {
+          channel.destroy(err);
+        }
+        if (typeof writable.destroy == 'function') {
+          writable.destroy();
+        }
+      });
+    return {readable: readable.pipe(limiter), writable};
+  }
+
+  /**
+   * Find the binding key (bound or pending) which a scope routes to.
+   *
+   * Exact matches come first, then wildcard keys from the longest prefix to
+   * the catch-all `*`.
+   */
+  _routeScope(scope) {
+    const keys = [scope];
+    const parts = scope.split('/');
+    for (let i = parts.length - 1; i > 0; i--) {
+      keys.push(`${parts.slice(0, i).join('/')}/*`);
+    }
+    keys.push('*');
+    for (const key of keys) {
+      if (this._bindings.has(key) || this._pendingScopes.has(key)) {
+        return key;
+      }
+    }
+    return undefined;
+  }
+
+  /** Add a binding, draining any it replaces. */
+  _setBinding(binding) {
+    const scope = binding.scope;
+    const prev = this._bindings.get(scope);
+    this._bindings.set(scope, binding);
+    if (prev) {
+      debug('replacing binding for scope %s', scope);
+      drainBinding(prev);
+    }
+    this._onBinding(scope);
+  }
+
+  /** Update readiness and create any channels waiting on a binding. */
+  _onBinding(scope) {
+    if (!this._pendingScopes.delete(scope)) {
+      return;
+    }
+    for (const waiter of this._bindingWaiters) {
+      waiter(scope);
+    }
+    const buffered = this._bufferedChannels;
+    this._bufferedChannels = [];
+    for (const {transport, scopes, opts, timer} of buffered) {
+      clearTimeout(timer);
+      const err = this.createChannels(transport, scopes, opts);
+      if (err) {
+        debug('buffered channel creation failed: %s', err.message);
+        destroyTransport(transport);
+      }
+    }
+    if (this.isReady()) {
+      debug('all expected scopes bound');
+      this.emit('ready');
     }
   }
 
-  /** Generic request handler. */
+  /**
+   * Generic request handler.
+   *
+   * @param opts {Object} Options:
+   *  + match {Function} Predicate called with each request, only requests for
+   *    which it returns a truthy value will be handled. This allows attaching
+   *    multiple handlers to the same HTTP server.
+   *  + scopes {Function} Function returning the scopes targeted by a request.
+   *    These will be passed to the receiver and authorized. Errors it throws
+   *    are sent back as responses.
+   *  + authenticate {Function} Predicate called with each request, requests
+   *    for which it returns a falsy value skip the receiver (and have no
+   *    principal). By default, all requests are authenticated.
+   *  + transport {String} Name of the transport, used in access logs.
+   * @param cb {Function} Handler called with each accepted request, a callback
+   * to call with any error, and the request's principal. Errors will be sent
+   * using their `statusCode` (400 by default); as JSON if the request's content
+   * type is `avro/json`, as text otherwise. Handlers can also return a promise
+   * instead of calling the callback.
+   */
   requestHandler(opts, cb) {
     if (!cb && typeof opts == 'function') {
       cb = opts;
       opts = undefined;
     }
+    const match = opts && opts.match;
+    const getScopes = opts && opts.scopes;
+    const authenticate = opts && opts.authenticate;
+    const transport = opts && opts.transport || 'http';
     return (req, res) => {
-      res.setHeader('Content-Type', 'text/plain');
-      this._receiver(req.headers, (err) => {
+      if (match && !match(req)) {
+        return; // Ignore this request.
+      }
+      let scopes;
+      try {
+        scopes = getScopes ? getScopes(req) : [];
+      } catch (err) {
+        this._logRequest(req, res, requestFields(req, transport));
+        sendError(req, res, err);
+        return;
+      }
+      const fields = Object.assign(requestFields(req, transport), {scopes});
+      this._logRequest(req, res, fields);
+      const receive = !authenticate || authenticate(req) ?
+        (cb) => { this._receive(req, scopes, cb); } :
+        (cb) => { cb(); };
+      receive((err, principal) => {
+        fields.principal = principal;
         if (err) {
-          res.writeHead(403);
-          res.end(err.message);
+          sendError(req, res, deniedError(err));
           return;
         }
-        cb(req, res, function (err) {
+        settle((done) => cb(req, res, done, principal), function (err) {
           if (err) {
-            res.setHeader('Content-Type', 'text/plain');
-            res.writeHead(400);
-            res.end(err.message);
+            sendError(req, res, err);
           }
         });
       });
     };
   }
 
-  postRequestHandler(prefix = '/') {
-    prefix = prefix.replace(/\/+$/, '') + '/';
-    return this.requestHandler((req, res, cb) => {
-      if (req.method !== 'POST' || !req.url.startsWith(prefix)) {
-        return; // Ignore this request.
+  /** Log a request once its response is sent (or the connection closed). */
+  _logRequest(req, res, fields) {
+    if (!this._accessLog) {
+      return;
+    }
+    const start = Date.now();
+    const sock = req.socket;
+    const offsets = SOCKET_OFFSETS.get(sock) || {bytesIn: 0, bytesOut: 0};
+    let logged = false;
+    res.once('finish', onDone).once('close', onDone);
+
+    const self = this;
+
+    function onDone() {
+      if (logged) {
+        return;
+      }
+      logged = true;
+      // Requests on a keep-alive connection are processed sequentially, we
+      // attribute to each all bytes transferred since the previous one ended.
+      const bytesIn = sock.bytesRead;
+      const bytesOut = sock.bytesWritten;
+      SOCKET_OFFSETS.set(sock, {bytesIn, bytesOut});
+      self._log('request', Object.assign({
+        method: req.method,
+        status: res.statusCode,
+        bytesIn: bytesIn - offsets.bytesIn,
+        bytesOut: bytesOut - offsets.bytesOut,
+        duration: Date.now() - start
+      }, fields));
+    }
+  }
+
+  /**
+   * Handler for requests POSTed under a given prefix.
+   *
+   * When a prefix is specified, requests with other methods under it are
+   * rejected (except if they are handled by one of the proxy's GET handlers).
+   * Without one, they are ignored so that other handlers can serve them.
+   */
+  postRequestHandler(prefix) {
+    const claimAll = prefix !== undefined;
+    prefix = (prefix || '').replace(/\/+$/, '') + '/';
+    const match = (req) => {
+      if (!req.url.startsWith(prefix)) {
+        return false;
+      }
+      if (req.method === 'POST') {
+        return true;
       }
-      const scopes = extractScopes(req.url.substr(prefix.length));
+      return claimAll && !this._getRoutes.some((fn) => fn(req));
+    };
+    const getScopes = (req) => extractScopes(req.url.substr(prefix.length));
+    const opts = {match, scopes: getScopes, transport: 'post'};
+    return this.requestHandler(opts, (req, res, cb, principal) => {
+      if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        const msg = `invalid method: ${req.method}`;
+        cb(new SystemError('METHOD_NOT_ALLOWED', msg));
+        return;
+      }
+      const length = +req.headers['content-length'];
+      if (length > this._maxBodySize) {
+        cb(new SystemError('PAYLOAD_TOO_LARGE', `body too large: ${length}`));
+        return;
+      }
+      const scopes = getScopes(req);
+      const traceContext = tracing.readTraceContext(req.headers);
+      res.setHeader('traceparent', hopTraceparent(traceContext));
+      if (traceContext.traceState) {
+        res.setHeader('tracestate', traceContext.traceState);
+      }
+      const logFields = requestFields(req, 'post');
+      const channelOpts = {principal, traceContext, logFields};
       const contentType = req.headers['content-type'];
       if (contentType === 'avro/binary') {
-        res.setHeader('Content-Type', contentType);
-        cb(this.createChannels(
-          function (fn) { fn(null, res); return req; }, scopes));
+        this._awaitBindings(scopes, res, (err) => {
+          if (err) {
+            cb(err);
+            return;
+          }
+          res.setHeader('Content-Type', contentType);
+          // Chunked requests don't declare their length upfront.
+          const body = limitBody(req, this._maxBodySize, (err) => {
+            if (!res.headersSent) {
+              sendError(req, res, err);
+            }
+          });
+          const transport = function (fn) { fn(null, res); return body; };
+          cb(this.createChannels(transport, scopes, channelOpts));
+        });
       } else if (contentType === 'avro/json') {
         if (scopes.length !== 1) {
-          cb(new Error('invalid scopes'));
-          return;
-        }
-        const binding = this._bindings.get(scopes[0]);
-        if (!binding || !binding.server) {
-          cb(new Error('invalid scope'));
+          cb(new SystemError('INVALID_REQUEST', 'invalid scopes'));
           return;
         }
-        const server = binding.server;
-        parseBody(req, server.service, (err, jreq) => {
+        const scope = scopes[0];
+        this._awaitBindings(scopes, res, (err) => {
           if (err) {
             cb(err);
             return;
           }
-          const streams = [new stream.PassThrough(), new stream.PassThrough()];
-          const client = server.service.createClient({
-              buffering: true,
-              strictTypes: true
-            });
-          client.createChannel(
-            {readable: streams[0], writable: streams[1]}, {scope: scopes[0]});
-          const jres = {headers: {}};
-          client
-            .use(function (wreq, wres, next) {
-              if (jreq.headers) {
-                wreq.headers = jreq.headers;
-              }
-              next(null, function (err, prev) {
-                if (err) {
-                  prev(err);
-                  return;
-                }
-                if (wres) {
-                  jres.headers = JSON.parse(
-                    HEADERS_TYPE.toString(wres.headers));
-                }
-                prev();
-              });
-            })
-            .emitMessage(jreq.message, jreq.request, function (err, res_) {
-              client.destroyChannels();
-              const msg = this.message;
-              res.setHeader('Content-Type', 'avro/json');
-              if (err !== undefined) {
-                jres.error = JSON.parse(msg.errorType.toString(err));
-              } else {
-                jres.response = JSON.parse(msg.responseType.toString(res_));
-              }
-              res.end(JSON.stringify(jres));
-            });
-          cb(this.createChannels(
-            {readable: streams[1], writable: streams[0]}, scopes));
+          const binding = this._bindings.get(this._routeScope(scope));
+          if (!binding || !binding.server) {
+            cb(new SystemError('NOT_FOUND', `invalid scope: ${scope}`));
+            return;
+          }
+          const server = binding.server;
+          this._emitJsonMessage(server, scope, channelOpts, req, res, cb);
         });
       } else {
-        cb(new Error(`invalid content type: ${contentType}`));
+        const msg = `unsupported content type: ${contentType}`;
+        cb(new SystemError('UNSUPPORTED_MEDIA_TYPE', msg));
       }
     });
   }
 
-  /** Generic upgrade handler. */
-  upgradeHandler(cb) {
+  /**
+   * Health and introspection routes.
+   *
+   * The following paths (relative to the prefix) are served:
+   *  + `health`, the proxy's status and each expected or bound scope's. The
+   *    response's status code is 503 until the proxy is ready.
+   *  + `protocols`, all scopes bound to a server and their protocols.
+   *  + `protocols/<scope>`, the protocol served under a given scope.
+   *  + `metrics`, the proxy's registry's metrics in Prometheus text format (if
+   *    the proxy was created with a registry).
+   *
+   * @param prefix {String} Path prefix of the routes.
+   * @param opts {Object} Options:
+   *  + authenticateHealth {Boolean} Whether `health` requests go through the
+   *    proxy's receiver (the default). Disable it to let load balancers probe
+   *    the proxy without credentials.
+   */
+  getRequestHandler(prefix = '/', opts) {
+    const {authenticateHealth = true} = opts || {};
+    prefix = prefix.replace(/\/+$/, '') + '/';
+    const match = (req) => req.method === 'GET' && req.url.startsWith(prefix);
+    this._getRoutes.push(match);
+    const getSegments = (req) => {
+      const path = parseUrl(req.url.substr(prefix.length)).pathname || '';
+      return path.split('/');
+    };
+    const getScopes = (req) => {
+      const segments = getSegments(req);
+      if (segments[0] !== 'protocols' || segments.length < 2) {
+        return [];
+      }
+      const path = segments.slice(1).join('/');
+      try {
+        return [decodeURIComponent(path)];
+      } catch (err) {
+        throw new SystemError('INVALID_REQUEST', `invalid scope: ${path}`);
+      }
+    };
+    const authenticate = (req) => {
+      return authenticateHealth || getSegments(req).join('/') !== 'health';
+    };
+    const handlerOpts = {
+      match,
+      scopes: getScopes,
+      authenticate,
+      transport: 'get'
+    };
+    return this.requestHandler(handlerOpts, (req, res, cb, principal) => {
+      const segments = getSegments(req);
+      const path = segments.join('/');
+      if (path === 'health') {
+        const ready = this.isReady();
+        const scopes = {};
+        for (const scope of this._bindings.keys()) {
+          scopes[scope] = 'BOUND';
+        }
+        for (const scope of this._pendingScopes) {
+          scopes[scope] = 'PENDING';
+        }
+        sendJson(res, ready ? 200 : 503, {
+          status: ready ? 'OK' : 'UNAVAILABLE',
+          scopes
+        });
+      } else if (path === 'protocols') {
+        const protocols = {};
+        for (const {scope, server} of this._bindings.values()) {
+          if (server && this._isAuthorized(principal, scope)) {
+            protocols[scope] = server.service.protocol;
+          }
+        }
+        sendJson(res, 200, protocols);
+      } else if (path === 'metrics' && this._registry) {
+        res.writeHead(200, {'Content-Type': this._registry.contentType});
+        res.end(this._registry.render());
+      } else if (segments[0] === 'protocols' && segments.length > 1) {
+        const scope = getScopes(req)[0];
+        const binding = this._bindings.get(this._routeScope(scope));
+        if (!binding || !binding.server) {
+          const msg = `no server bound to scope: ${scope}`;
+          cb(new SystemError('NOT_FOUND', msg));
+          return;
+        }
+        sendJson(res, 200, binding.server.service.protocol);
+      } else {
+        cb(new SystemError('NOT_FOUND', `unknown route: ${path}`));
+      }
+    });
+  }
+
+  /**
+   * Emit a message decoded from an avro/json request's body.
+   *
+   * The options are forwarded to the created channel.
+   */
+  _emitJsonMessage(server, scope, opts, req, res, cb) {
+    const start = Date.now();
+    parseBody(req, server.service, this._maxBodySize, (err, jreq) => {
+      if (err) {
+        cb(err);
+        return;
+      }
+      const log = (status, error) => {
+        this._log('message', Object.assign({
+          scope,
+          principal: opts.principal,
+          message: jreq.message,
+          status,
+          error,
+          duration: Date.now() - start
+        }, opts.logFields));
+      };
+      const streams = [new stream.PassThrough(), new stream.PassThrough()];
+      const client = server.service.createClient({
+          buffering: true,
+          strictTypes: true
+        });
+      client.createChannel(
+        {readable: streams[0], writable: streams[1]}, {scope});
+      const jres = {headers: {}};
+      client
+        .use(function (wreq, wres, next) {
+          if (jreq.headers) {
+            wreq.headers = jreq.headers;
+          }
+          next(null, function (err, prev) {
+            if (err) {
+              prev(err);
+              return;
+            }
+            if (wres) {
+              jres.headers = JSON.parse(
+                HEADERS_TYPE.toString(wres.headers));
+            }
+            prev();
+          });
+        })
+        .emitMessage(jreq.message, jreq.request, function (err, res_) {
+          client.destroyChannels();
+          const msg = this.message;
+          res.setHeader('Content-Type', 'avro/json');
+          if (err !== undefined) {
+            jres.error = JSON.parse(msg.errorType.toString(err));
+            log('ERROR', err instanceof Error ? err.message : jres.error);
+          } else {
+            jres.response = JSON.parse(msg.responseType.toString(res_));
+            log('SUCCESS');
+          }
+          res.end(JSON.stringify(jres));
+        });
+      cb(this.createChannels(
+        {readable: streams[1], writable: streams[0]}, [scope], opts));
+    });
+  }
+
+  /** Authenticate a request and authorize access to its scopes. */
+  _receive(req, scopes, cb) {
+    const receiver = this._receiver;
+    settle((done) => {
+      if (!this._receiverInfo && receiver.length < 3) {
+        // Receivers which only accept headers don't return a principal.
+        return receiver(req.headers, done);
+      }
+      return receiver(req.headers, {scopes, url: req.url}, done);
+    }, (err, principal) => {
+      if (!err) {
+        for (const scope of scopes) {
+          if (!this._isAuthorized(principal, scope)) {
+            const msg = `permission denied for scope: ${scope}`;
+            err = new SystemError('PERMISSION_DENIED', msg);
+            break;
+          }
+        }
+      }
+      cb(err, principal);
+    });
+  }
+
+  /** Check whether a principal can access a scope (and optional message). */
+  _isAuthorized(principal, scope, message) {
+    return !this._authorize || !!this._authorize(principal, {scope, message});
+  }
+
+  /** Server middleware enforcing message-level permissions. */
+  _guardMiddleware() {
+    const proxy = this;
+    return function (wreq, wres, next) {
+      const grant = proxy._channelGrants.get(this.channel);
+      if (!grant) {
+        // This call wasn't received via this proxy.
+        next();
+        return;
+      }
+      const {principal, scope} = grant;
+      const name = this.message.name;
+      if (!proxy._isAuthorized(principal, scope, name)) {
+        const msg = `permission denied for message: ${name}`;
+        const err = new SystemError('PERMISSION_DENIED', msg);
+        if (wres) {
+          wres.error = encodeSystemError(err, this.message);
+          next();
+        } else {
+          next(err); // One-way messages can't return errors.
+        }
+        return;
+      }
+      next();
+    };
+  }
+
+  /**
+   * Wait for the bindings of any expected scopes which aren't yet bound.
+   *
+   * The callback is called with an error if buffering is disabled, if the
+   * proxy gets closed, or if the bindings take too long. It isn't called if
+   * the emitter (the request's response or socket) closes first.
+   */
+  _awaitBindings(scopes, emitter, cb) {
+    const keys = new Set();
+    for (const scope of scopes) {
+      const key = this._routeScope(scope);
+      if (this._pendingScopes.has(key)) {
+        keys.add(key);
+      }
+    }
+    if (!keys.size) {
+      cb();
+      return;
+    }
+    const pending = Array.from(keys).join(', ');
+    if (!this._bufferChannels) {
+      cb(new SystemError('UNAVAILABLE', `unavailable scope: ${pending}`));
+      return;
+    }
+    debug('waiting for %s to be bound', pending);
+    let timer;
+    const cleanup = () => {
+      this._bindingWaiters.delete(onBinding);
+      emitter.removeListener('close', onClose);
+      clearTimeout(timer);
+    };
+    const onBinding = (key) => {
+      if (key === undefined) {
+        cleanup();
+        cb(new SystemError('UNAVAILABLE', 'proxy closed'));
+      } else if (keys.delete(key) && !keys.size) {
+        cleanup();
+        cb();
+      }
+    };
+    const onClose = () => {
+      debug('stopped waiting for %s to be bound', pending);
+      cleanup();
+    };
+    if (this._bindingTimeout) {
+      timer = setTimeout(() => {
+        cleanup();
+        const msg = `timed out waiting for scope: ${pending}`;
+        cb(new SystemError('UNAVAILABLE', msg));
+      }, this._bindingTimeout);
+    }
+    this._bindingWaiters.add(onBinding);
+    emitter.once('close', onClose);
+  }
+
+  /**
+   * Generic upgrade handler.
+   *
+   * @param opts {Object} Options:
+   *  + scopes {Function} Function returning the scopes targeted by a request.
+   *  + transport {String} Name of the transport, used in access logs.
+   * @param cb {Function} Handler, called similarly to the request handler's
+   * (and which can also return a promise).
+   */
+  upgradeHandler(opts, cb) {
+    if (!cb && typeof opts == 'function') {
+      cb = opts;
+      opts = undefined;
+    }
+    const getScopes = opts && opts.scopes;
+    const transport = opts && opts.transport || 'upgrade';
     return (req, sock, head) => {
-      this._receiver(req.headers, (err) => {
+      const scopes = getScopes ? getScopes(req) : [];
+      const fields = Object.assign(requestFields(req, transport), {scopes});
+      this._logUpgrade(sock, fields);
+      this._receive(req, scopes, (err, principal) => {
+        fields.principal = principal;
         if (err) {
-          socketError(sock, '403 Forbidden', err.message);
+          err = deniedError(err);
+          fields.status = err.statusCode;
+          fields.error = err.message;
+          socketError(sock, err);
           return;
         }
-        cb(req, sock, head, function (err) {
+        settle((done) => cb(req, sock, head, done, principal), function (err) {
           if (err) {
-            socketError(sock, '400 Bad Request', err.message);
+            fields.status = err.statusCode || 400;
+            fields.error = err.message;
+            socketError(sock, err);
+          } else {
+            fields.status = req.method === 'CONNECT' ? 200 : 101;
           }
         });
       });
     };
   }
 
+  /** Log an upgraded connection once it closes. */
+  _logUpgrade(sock, fields) {
+    if (!this._accessLog) {
+      return;
+    }
+    const start = Date.now();
+    sock.once('close', () => {
+      this._log('upgrade', Object.assign({
+        bytesIn: sock.bytesRead,
+        bytesOut: sock.bytesWritten,
+        duration: Date.now() - start
+      }, fields));
+    });
+  }
+
   connectHandler() {
-    return this.upgradeHandler((req, sock, head, cb) => {
+    const getScopes = (req) => extractScopes(req.url);
+    const opts = {scopes: getScopes, transport: 'connect'};
+    return this.upgradeHandler(opts, (req, sock, head, cb, principal) => {
       if (head.length) {
-        cb(new Error('unsupported trailing data'));
+        cb(new SystemError('INVALID_REQUEST', 'unsupported trailing data'));
         return;
       }
-      sock.write('HTTP/1.1 200 Connection Established\r\n\r\n');
-      cb(this.createChannels(sock, extractScopes(req.url)));
+      // Channels only start writing on the next tick, so we can still send an
+      // error response if their creation fails.
+      const traceContext = tracing.readTraceContext(req.headers);
+      const logFields = requestFields(req, 'connect');
+      const channelOpts = {
+        principal,
+        traceContext: tunnelTraceContext(traceContext),
+        logFields
+      };
+      const scopes = getScopes(req);
+      this._awaitBindings(scopes, sock, (err) => {
+        if (!err) {
+          err = this.createChannels(sock, scopes, channelOpts);
+        }
+        if (!err) {
+          const traceparent = hopTraceparent(traceContext);
+          sock.write(
+            'HTTP/1.1 200 Connection Established\r\n' +
+            `traceparent: ${traceparent}\r\n\r\n`
+          );
+        }
+        cb(err);
+      });
     });
   }
 
-  webSocketHandler(opts) {
-    const wsServer = new ws.Server({noServer: true});
-    return this.upgradeHandler((req, sock, head, cb) => {
-      wsServer.handleUpgrade(req, sock, head, (client) => {
-        cb(this.createChannels(
-          wsStream(client, opts), extractScopes(req.url)));
+  webSocketHandler(streamOpts) {
+    const traceContexts = new WeakMap(); // Keyed by request.
+    const wsServer = new ws.Server({noServer: true})
+      .on('headers', function (headers, req) {
+        const traceContext = traceContexts.get(req);
+        if (traceContext) {
+          const traceparent = hopTraceparent(traceContext);
+          headers.push(`traceparent: ${traceparent}`);
+        }
+      });
+    const getScopes = (req) => extractScopes(req.url);
+    const opts = {scopes: getScopes, transport: 'websocket'};
+    return this.upgradeHandler(opts, (req, sock, head, cb, principal) => {
+      const traceContext = tracing.readTraceContext(req.headers);
+      traceContexts.set(req, traceContext);
+      const scopes = getScopes(req);
+      this._awaitBindings(scopes, sock, (err) => {
+        // Errors can only be sent as HTTP responses before the upgrade.
+        err = err || this._checkChannels(scopes, false);
+        if (err) {
+          cb(err);
+          return;
+        }
+        wsServer.handleUpgrade(req, sock, head, (client) => {
+          const logFields = requestFields(req, 'websocket');
+          const channelOpts = {
+            principal,
+            traceContext: tunnelTraceContext(traceContext),
+            logFields
+          };
+          const err = this.createChannels(
+            wsStream(client, streamOpts), scopes, channelOpts);
+          if (err) {
+            // The proxy changed during the upgrade.
+            debug('closing websocket: %s', err.message);
+            client.close(1011, err.message);
+          }
+          cb();
+        });
       });
     });
   }
 }
 
-/** Proxy creation entry point. */
+/**
+ * Proxy creation entry point.
+ *
+ * @param opts {Object} Options:
+ *  + scopes {Array} Scopes which must be bound before the proxy is ready.
+ *  + bufferChannels {Boolean} Whether requests for expected scopes which
+ *    aren't yet bound wait for their binding (the default), or are rejected
+ *    with a 503 status code.
+ *  + bindingTimeout {Number} Delay, in milliseconds, after which requests
+ *    still waiting for a binding are rejected with a 503 status code. Defaults
+ *    to 30 seconds, 0 disables it.
+ *  + authorize {Function} Access control function, called with a principal
+ *    and an object containing the requested `scope` (and `message`, when
+ *    checking an individual call). It should return whether access is
+ *    allowed. By default, everything is.
+ *  + principalKey {String} Key used to store the principal in calls' locals.
+ *  + scopeKey {String} Key used to store the scope in calls' locals.
+ *  + receiverInfo {Boolean} Always pass the request's details to the receiver
+ *    (see below), regardless of the number of parameters it declares.
+ *  + maxBodySize {Number} Maximum size of POST request bodies, in bytes.
+ *    Larger requests are rejected with a 413 status code. Defaults to 1MiB.
+ *  + maxMessageSize {Number} Maximum size of messages sent over stateful
+ *    (CONNECT and WebSocket) channels, in bytes. The connection is closed as
+ *    soon as a larger message's header is received. Unlimited by default.
+ *  + maxChannelsPerScope {Number} Maximum number of concurrently open channels
+ *    on each binding, scopes routed to a wildcard binding count towards the
+ *    same limit. Further requests are rejected with a 503 status code.
+ *  + handshakeTimeout {Number} Delay, in milliseconds, after which channels
+ *    which haven't completed a handshake are destroyed. Disabled by default.
+ *  + idleTimeout {Number} Delay, in milliseconds, after which channels without
+ *    any pending or new calls are destroyed. Disabled by default.
+ *  + registry {Registry} Metrics registry (see `createRegistry`). If
+ *    specified, the number of open channels per binding is tracked in it and
+ *    its metrics are served by the `getRequestHandler`'s `metrics` route.
+ *  + accessLog {Function|Stream} Destination of access log records (see
+ *    `HttpProxy`). Functions are called with each record, writable streams
+ *    receive them as JSON lines. Disabled by default.
+ * @param receiver {Function} Function called with each request's headers, an
+ * object containing the requested `scopes` and `url`, and a callback. The
+ * latter should be called with an error to reject the request, or an optional
+ * principal identifying the caller. Alternatively, receivers can return a
+ * promise of the principal. For backwards-compatibility, unless the
+ * `receiverInfo` option is set, receivers declaring fewer than three
+ * parameters are only passed the headers and callback. Promise-based receivers
+ * which need the request's details (e.g. `async (hdrs, {scopes}) => {}`)
+ * should set it.
+ */
 function createProxy(opts, receiver) {
   if (!receiver && typeof opts == 'function') {
     receiver = opts;
@@ -210,12 +1159,23 @@ function createProxy(opts, receiver) {
   return new HttpProxy(receiver, opts);
 }
 
-/** Tunnel creation entry point (for clients). */
+/**
+ * Tunnel creation entry point (for clients).
+ *
+ * @param url {String} URL of the proxy's CONNECT handler.
+ * @param opts {Object} Options:
+ *  + headers {Object} Headers sent with the CONNECT request.
+ * @param cb {Function} Called with any error and the tunnel's socket. If
+ * omitted, a promise of the socket is returned instead.
+ */
 function startTunnel(url, opts, cb) {
   if (!cb && typeof opts == 'function') {
     cb = opts;
     opts = undefined;
   }
+  if (!cb) {
+    return Promise.fromCallback((cb) => { startTunnel(url, opts, cb); });
+  }
   const obj = parseUrl(url);
   opts = opts || {};
   http.request({
@@ -225,18 +1185,25 @@ function startTunnel(url, opts, cb) {
     headers: opts.headers,
     method: 'CONNECT'
   }).on('connect', function (res, sock, head) {
-    if (res.statusCode !== 200 || head.length) {
+    if (res.statusCode !== 200) {
       // We delay the callback until we have read the entire response's body
       // (otherwise we might not be able to retrieve the correct error).
       const bufs = [head];
       sock
         .on('data', function (buf) { bufs.push(buf); })
         .on('end', function () {
-          cb(new Error(Buffer.concat(bufs).toString() || res.statusMessage));
+          const body = Buffer.concat(bufs).toString() || res.statusMessage;
+          const type = res.headers['content-type'];
+          cb(SystemError.fromHttp(res.statusCode, body, type));
         })
         .end();
       return;
     }
+    if (head.length) {
+      // The proxy might already have started sending data (e.g. pings from
+      // client channels).
+      sock.unshift(head);
+    }
     cb(null, sock);
   }).on('error', cb)
     .end();
@@ -244,55 +1211,362 @@ function startTunnel(url, opts, cb) {
 
 // Helpers.
 
+/** Build an access log function from the corresponding proxy option. */
+function accessLogger(accessLog) {
+  if (!accessLog || typeof accessLog == 'function') {
+    return accessLog;
+  }
+  if (typeof accessLog.write != 'function') {
+    throw new Error(`invalid access log: ${accessLog}`);
+  }
+  return function (record) {
+    let str;
+    try {
+      str = stringifyRecord(record);
+    } catch (err) {
+      debug('dropping unserializable access log record: %s', err.message);
+      return;
+    }
+    accessLog.write(`${str}\n`);
+  };
+}
+
+/**
+ * Serialize an access log record as JSON. BigInts are written as strings and
+ * circular references (e.g. inside principals) replaced by a placeholder.
+ */
+function stringifyRecord(record) {
+  const ancestors = [];
+  return JSON.stringify(record, function (key, val) {
+    if (typeof val == 'bigint') {
+      return val.toString();
+    }
+    if (!val || typeof val != 'object') {
+      return val;
+    }
+    // The replacer is called with the object containing the key as `this`.
+    while (ancestors.length && ancestors[ancestors.length - 1] !== this) {
+      ancestors.pop();
+    }
+    if (~ancestors.indexOf(val)) {
+      return '[Circular]';
+    }
+    ancestors.push(val);
+    return val;
+  });
+}
+
+/** Access log fields identifying a request's caller. */
+function requestFields(req, transport) {
+  return {transport, remoteAddress: req.socket.remoteAddress, url: req.url};
+}
+
+/** Error returned when a receiver rejects a request, denying access. */
+function deniedError(err) {
+  if (err.statusCode) {
+    return err; // Receivers can pick a different status.
+  }
+  return new SystemError('PERMISSION_DENIED', err.message, {cause: err});
+}
+
 /** Send an error message and terminate a connection. */
-function socketError(sock, status, msg) {
-  sock.write(`HTTP/1.1 ${status}\r\n`);
+function socketError(sock, err) {
+  const status = err.statusCode || 400;
+  sock.write(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n`);
   sock.write('Content-Type: text/plain\r\n\r\n');
-  sock.end(msg);
+  sock.end(err.message);
+}
+
+/** Send a JSON response. */
+function sendJson(res, status, obj) {
+  res.setHeader('Content-Type', 'application/json');
+  res.writeHead(status);
+  res.end(JSON.stringify(obj));
+}
+
+/** Send an error, formatted according to the request's content type. */
+function sendError(req, res, err) {
+  const status = err.statusCode || 400;
+  if (req.headers['content-type'] === 'avro/json') {
+    sendJson(res, status, {
+      code: err.code || 'INVALID_REQUEST',
+      message: err.message,
+      path: err.path
+    });
+  } else {
+    res.setHeader('Content-Type', 'text/plain');
+    res.writeHead(status);
+    res.end(err.message);
+  }
+}
+
+/**
+ * Pipe a request through a stream which stops once too many bytes are read.
+ *
+ * The callback is called with a 413 error when that happens, the rest of the
+ * request is then discarded.
+ */
+function limitBody(req, maxSize, cb) {
+  let size = 0;
+  const limiter = new stream.Transform({
+    transform(buf, encoding, cb_) {
+      size += buf.length;
+      if (size > maxSize) {
+        req.unpipe(limiter);
+        req.resume();
+        cb(new SystemError('PAYLOAD_TOO_LARGE', `body too large: ${size}`));
+        cb_();
+        return;
+      }
+      cb_(null, buf);
+    }
+  });
+  return req.pipe(limiter);
+}
+
+/**
+ * Pass-through stream which checks the size of Netty-framed messages.
+ *
+ * Each message starts with an 8 byte header (its ID and frame count), followed
+ * by the frames, each prefixed by its length. We only track these headers,
+ * without buffering any data, and emit an error as soon as a message's
+ * declared size exceeds the limit.
+ */
+class MessageSizeLimiter extends stream.Transform {
+
+  constructor(maxSize) {
+    super();
+    this._maxSize = maxSize;
+    this._head = Buffer.alloc(0); // Partial header.
+    this._frameCount = -1; // Frames left in the current message.
+    this._skip = 0; // Bytes left in the current frame.
+    this._size = 0; // Size of the current message.
+  }
+
+  _transform(buf, encoding, cb) {
+    let pos = 0;
+    while (pos < buf.length) {
+      if (this._skip) {
+        const len = Math.min(this._skip, buf.length - pos);
+        this._skip -= len;
+        pos += len;
+        continue;
+      }
+      const headSize = this._frameCount < 0 ? 8 : 4;
+      const len = Math.min(headSize - this._head.length, buf.length - pos);
+      this._head = Buffer.concat([this._head, buf.slice(pos, pos + len)]);
+      pos += len;
+      if (this._head.length < headSize) {
+        break;
+      }
+      if (this._frameCount < 0) {
+        this._frameCount = this._head.readInt32BE(4);
+        this._size = 0;
+      } else {
+        this._frameCount--;
+        this._skip = this._head.readInt32BE(0);
+        this._size += this._skip;
+        if (this._size > this._maxSize) {
+          const msg = `message too large: ${this._size}`;
+          cb(new SystemError('PAYLOAD_TOO_LARGE', msg));
+          return;
+        }
+      }
+      this._head = Buffer.alloc(0);
+      if (!this._frameCount) {
+        this._frameCount = -1;
+      }
+    }
+    cb(null, buf);
+  }
 }
 
 /** Parse a request's JSON body. */
-function parseBody(req, service, cb) {
+function parseBody(req, service, maxSize, cb) {
   const bufs = [];
+  let size = 0;
   req
     .on('error', cb)
-    .on('data', function (buf) { bufs.push(buf); })
-    .on('end', function () {
-      const str = Buffer.concat(bufs).toString();
-      let obj;
-      try {
-        obj = JSON.parse(str);
-      } catch (err) {
-        cb(err);
-        return;
+    .on('data', onData)
+    .on('end', onEnd);
+
+  function onData(buf) {
+    size += buf.length;
+    if (size > maxSize) {
+      req.removeListener('data', onData).removeListener('end', onEnd);
+      req.resume(); // Drain the rest of the request.
+      cb(new SystemError('PAYLOAD_TOO_LARGE', `body too large: ${size}`));
+      return;
+    }
+    bufs.push(buf);
+  }
+
+  function onEnd() {
+    const str = Buffer.concat(bufs).toString();
+    let obj;
+    try {
+      obj = JSON.parse(str);
+    } catch (err) {
+      cb(new SystemError('INVALID_REQUEST', `invalid json: ${err.message}`));
+      return;
+    }
+    const msg = obj && service.message(obj.message);
+    if (!msg) {
+      const name = obj && obj.message;
+      cb(new SystemError('INVALID_REQUEST', `unknown message: ${name}`));
+      return;
+    }
+    try {
+      obj.headers = decodeJson(HEADERS_TYPE, obj.headers || {}, 'headers');
+      obj.request = decodeJson(msg.requestType, obj.request, 'request');
+    } catch (err) {
+      cb(err);
+      return;
+    }
+    cb(null, obj);
+  }
+}
+
+/** Decode a JSON value, throwing a descriptive error if it is invalid. */
+function decodeJson(type, any, name) {
+  try {
+    return type.fromString(JSON.stringify(any));
+  } catch (cause) {
+    const path = invalidPath(type, any, name);
+    const msg = `invalid ${path}: ${cause.message}`;
+    throw new SystemError('INVALID_REQUEST', msg, {path});
+  }
+}
+
+/** Find the path to the first value which can't be decoded. */
+function invalidPath(type, any, path) {
+  let subPath;
+  switch (type.typeName) {
+    case 'record':
+    case 'error':
+      if (any && typeof any == 'object' && !Array.isArray(any)) {
+        for (const field of type.fields) {
+          const val = any[field.name];
+          if (val !== undefined || field.defaultValue() === undefined) {
+            subPath = findPath(field.type, val, `${path}.${field.name}`);
+          }
+          if (subPath) {
+            break;
+          }
+        }
       }
-      const msg = service.message(obj.message);
-      if (!msg) {
-        cb(new Error(`unknown message: ${obj.message}`));
-        return;
+      break;
+    case 'array':
+      if (Array.isArray(any)) {
+        for (let i = 0; i < any.length && !subPath; i++) {
+          subPath = findPath(type.itemsType, any[i], `${path}[${i}]`);
+        }
       }
-      if (obj.headers) {
-        try {
-          obj.headers = HEADERS_TYPE.fromString(JSON.stringify(obj.headers));
-        } catch (err) {
-          // Do nothing, continue further to allow for a better error message.
+      break;
+    case 'map':
+      if (any && typeof any == 'object' && !Array.isArray(any)) {
+        for (const key of Object.keys(any)) {
+          subPath = findPath(type.valuesType, any[key], `${path}.${key}`);
+          if (subPath) {
+            break;
+          }
         }
-      } else {
-        obj.headers = {};
       }
-      try {
-        obj.request = msg.requestType.fromString(JSON.stringify(obj.request));
-      } catch (err) {
-        // Idem.
+      break;
+    case 'union:unwrapped':
+    case 'union:wrapped':
+      if (any && typeof any == 'object' && Object.keys(any).length === 1) {
+        const key = Object.keys(any)[0];
+        const branch = type.types.find((t) => t.branchName === key);
+        if (branch) {
+          subPath = findPath(branch, any[key], `${path}.${key}`);
+        }
       }
-      cb(null, obj);
-    });
+      break;
+  }
+  return subPath || path;
+
+  function findPath(type, any, path) {
+    try {
+      type.fromString(JSON.stringify(any));
+    } catch (err) {
+      return invalidPath(type, any, path);
+    }
+  }
+}
+
+/**
+ * Call a function which either calls back or returns a promise, forwarding its
+ * outcome to a callback (at most once).
+ *
+ * The function is passed its own callback, and is considered promise-based if
+ * it returns a thenable. Rejections are always treated as errors, even with
+ * falsy reasons.
+ */
+function settle(fn, cb) {
+  let settled = false;
+  const done = function (err, val) {
+    if (settled) {
+      debug('ignoring duplicate completion');
+      return;
+    }
+    settled = true;
+    cb(err, val);
+  };
+  const ret = fn(done);
+  if (ret && typeof ret.then == 'function') {
+    ret.then(
+      function (val) { done(null, val); },
+      function (err) { done(err || new Error(`promise rejected: ${err}`)); }
+    );
+  }
+}
+
+/**
+ * Format the `traceparent` header of a response, identifying the proxy's hop
+ * by a new span ID.
+ */
+function hopTraceparent(ctx) {
+  return tracing.formatTraceparent(ctx, crypto.randomBytes(8));
+}
+
+/**
+ * Trace context used to seed calls received over a tunnel. Tunnels can carry
+ * many unrelated calls, so these only share the tunnel's trace if its request
+ * had a `traceparent` (each call otherwise starts its own trace).
+ */
+function tunnelTraceContext(ctx) {
+  return ctx.parentSpanId ? ctx : undefined;
+}
+
+/** Destroy a transport (or both its sides), if possible. */
+function destroyTransport(transport) {
+  const sides = transport.pipe ?
+    [transport] :
+    [transport.readable, transport.writable];
+  for (const side of sides) {
+    if (side && typeof side.destroy == 'function') {
+      side.destroy();
+    }
+  }
+}
+
+/** Destroy all channels created on a binding. */
+function drainBinding(binding, noWait) {
+  for (const channel of binding.channels) {
+    channel.destroy(noWait);
+  }
 }
 
-/** URL parsing logic. */
+/**
+ * URL parsing logic.
+ *
+ * The whole path is used, with scopes separated by `+` (e.g. `/a/b+c` targets
+ * scopes `a/b` and `c`).
+ */
 function extractScopes(url) {
-  const segments = url.split('/');
-  return segments[0].split('+');
+  const path = (parseUrl(url).pathname || '').replace(/^\/+|\/+$/g, '');
+  return path.split('+');
 }
 
 
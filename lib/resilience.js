@@ -0,0 +1,303 @@
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+/** Client middleware to cope with failing servers: retries and breakers. */
+
+const {SystemError} = require('./errors');
+
+const events = require('events');
+const util = require('util');
+
+const debug = util.debuglog('verdon:resilience');
+
+// Call option used to track retry attempts.
+const ATTEMPT_KEY = 'retryAttempt';
+
+// Retry state of each call, keyed by locals.
+const RETRIES = new WeakMap();
+
+/**
+ * Client retry middleware.
+ *
+ * Calls failing with a system error (e.g. a timeout or destroyed channel) are
+ * emitted again after an exponentially increasing delay, with full jitter.
+ * Application errors are never retried, neither are one-way messages (since
+ * their outcome is unknown). Only messages declared idempotent are retried,
+ * either via the `idempotent` option or by adding an `idempotent` attribute
+ * to the message in the protocol (`@idempotent(true)` in IDL).
+ *
+ * @param client {Client} Client to instrument.
+ * @param opts {Object} Options:
+ *  + maxAttempts {Number} Maximum number of times each call is emitted,
+ *    including the first. Defaults to 3.
+ *  + minDelay {Number} Delay before the first retry, in milliseconds. It
+ *    doubles after each attempt.
+ *  + maxDelay {Number} Maximum delay between attempts.
+ *  + jitter {Boolean} Whether to randomize delays (between zero and their
+ *    value), to avoid synchronized retries across clients. Defaults to true.
+ *  + idempotent {Array} Names of messages which can be retried, in addition
+ *    to those annotated in the protocol.
+ *  + shouldRetry {Function} Called with each system error and the attempt
+ *    number, returning whether to retry. By default all are retried.
+ *
+ * Retries are emitted with the call's original options, and inherit its
+ * deadline (if any, see `clientDeadlines`): their timeout is recomputed from
+ * the time remaining. They go through all of the client's middleware, tracing
+ * and metrics middleware used before this one only record the original call
+ * (which spans all attempts, and ends with the last one's outcome).
+ */
+function retryClient(client, {
+  maxAttempts = 3,
+  minDelay = 100,
+  maxDelay = 2000,
+  jitter = true,
+  idempotent = [],
+  shouldRetry = null
+} = {}) {
+  const idempotentNames = new Set(idempotent);
+  client.on('channel', function (channel) {
+    // Prepended to copy the options before other listeners update them (e.g.
+    // shortening their timeout to match a deadline).
+    channel.prependListener('outgoingCall', function (ctx, opts) {
+      RETRIES.set(ctx.locals, {
+        opts: Object.assign({}, opts),
+        attempt: opts[ATTEMPT_KEY] || 1
+      });
+    });
+  });
+
+  return function (wreq, wres, next) {
+    const msg = this.message;
+    const state = RETRIES.get(this.locals);
+    if (state) {
+      state.reached = true;
+    }
+    if (
+      msg.oneWay ||
+      !state ||
+      !idempotentNames.has(msg.name) && !isIdempotent(client.service, msg.name)
+    ) {
+      next();
+      return;
+    }
+    const locals = this.locals;
+    const attempt = state.attempt;
+    next(null, function (err, prev) {
+      if (
+        !err ||
+        attempt >= maxAttempts ||
+        shouldRetry && !shouldRetry(err, attempt)
+      ) {
+        done(err);
+        return;
+      }
+      const delay = retryDelay(attempt, minDelay, maxDelay, jitter);
+      debug('retrying %s in %sms (attempt %s)', msg.name, delay, attempt);
+      setTimeout(function () {
+        const opts = Object.assign({}, state.opts);
+        opts[ATTEMPT_KEY] = attempt + 1;
+        // Forwards the deadline stored in this attempt's locals, including
+        // ones created by default.
+        opts.locals = locals;
+        client.emitMessage(msg.name, wreq.request, opts, function (err, res) {
+          // The retried call's final system error (if any) is stored in its
+          // state, along with its response.
+          const retryState = RETRIES.get(this.locals);
+          if (!retryState || !retryState.wres) {
+            // The retry was handled before reaching this middleware (e.g. it
+            // was rejected by a circuit breaker).
+            if (err) {
+              done(err);
+            } else {
+              wres.response = res;
+              done();
+            }
+            return;
+          }
+          if (retryState.error) {
+            done(retryState.error);
+            return;
+          }
+          // Headers are also copied, for outer middleware to read (e.g. the
+          // response's trace).
+          const retryWres = retryState.wres;
+          Object.assign(wres.headers, retryWres.headers);
+          wres.error = retryWres.error;
+          wres.response = retryWres.response;
+          done();
+        });
+      }, delay);
+
+      function done(err) {
+        state.error = err;
+        state.wres = wres;
+        prev(err);
+      }
+    });
+  };
+}
+
+/**
+ * Circuit breaker.
+ *
+ * Each channel and message has its own circuit. Circuits open after too many
+ * consecutive system errors, calls then fail immediately (without being sent)
+ * until the reset timeout elapses. The circuit becomes half-open, a single
+ * trial call is let through: it closes the circuit if it succeeds, opens it
+ * again otherwise.
+ *
+ * The following events are emitted, with the circuit's channel and message
+ * name:
+ *  + `'open'`, along with the error which triggered it.
+ *  + `'halfOpen'`.
+ *  + `'close'`.
+ */
+class CircuitBreaker extends events.EventEmitter {
+
+  constructor({maxErrors = 5, resetTimeout = 30000} = {}) {
+    super();
+    this._maxErrors = maxErrors;
+    this._resetTimeout = resetTimeout;
+    this._circuits = new WeakMap(); // Map of circuits by message, by channel.
+  }
+
+  /** State of a circuit: `'CLOSED'`, `'OPEN'`, or `'HALF_OPEN'`. */
+  state(channel, name) {
+    return this._getCircuit(channel, name).state;
+  }
+
+  /** Client middleware factory, suitable for a client's `use` method. */
+  middleware() {
+    const self = this;
+    return function () {
+      return function (wreq, wres, next) {
+        const channel = this.channel;
+        const name = this.message.name;
+        const circuit = self._getCircuit(channel, name);
+        if (circuit.state === 'HALF_OPEN' && circuit.trialPending) {
+          next(circuitOpenError(name));
+          return;
+        }
+        if (circuit.state === 'OPEN') {
+          if (Date.now() < circuit.openedAt + self._resetTimeout) {
+            next(circuitOpenError(name));
+            return;
+          }
+          self._setState(circuit, 'HALF_OPEN', channel, name);
+        }
+        if (circuit.state === 'HALF_OPEN') {
+          circuit.trialPending = true;
+        }
+        next(null, function (err, prev) {
+          if (err) {
+            self._onFailure(circuit, channel, name, err);
+          } else if (circuit.state !== 'CLOSED') {
+            self._setState(circuit, 'CLOSED', channel, name);
+          } else {
+            circuit.errors = 0;
+          }
+          prev(err);
+        });
+      };
+    };
+  }
+
+  _getCircuit(channel, name) {
+    let circuits = this._circuits.get(channel);
+    if (!circuits) {
+      circuits = new Map();
+      this._circuits.set(channel, circuits);
+    }
+    let circuit = circuits.get(name);
+    if (!circuit) {
+      circuit = {
+        state: 'CLOSED',
+        errors: 0,
+        openedAt: 0,
+        trialPending: false
+      };
+      circuits.set(name, circuit);
+    }
+    return circuit;
+  }
+
+  _onFailure(circuit, channel, name, err) {
+    circuit.errors++;
+    if (
+      circuit.state === 'HALF_OPEN' ||
+      circuit.state === 'CLOSED' && circuit.errors >= this._maxErrors
+    ) {
+      circuit.openedAt = Date.now();
+      this._setState(circuit, 'OPEN', channel, name, err);
+    }
+  }
+
+  _setState(circuit, state, channel, name, err) {
+    debug('circuit for %s is now %s', name, state);
+    circuit.state = state;
+    circuit.trialPending = false;
+    if (state === 'CLOSED') {
+      circuit.errors = 0;
+    }
+    const evt = {CLOSED: 'close', HALF_OPEN: 'halfOpen', OPEN: 'open'}[state];
+    this.emit(evt, channel, name, err);
+  }
+}
+
+/**
+ * Create a circuit breaker.
+ *
+ * @param opts {Object} Options:
+ *  + maxErrors {Number} Consecutive system errors after which a circuit
+ *    opens. Defaults to 5.
+ *  + resetTimeout {Number} Time after which an open circuit lets a trial call
+ *    through, in milliseconds. Defaults to 30 seconds.
+ */
+function createCircuitBreaker(opts) {
+  return new CircuitBreaker(opts);
+}
+
+/**
+ * Whether a call is a retry which hasn't reached the retry middleware yet.
+ *
+ * Middleware running before the retry middleware already handle the original
+ * call, which spans all attempts. They can use this to skip retries.
+ *
+ * @param locals {Object} The call's locals.
+ */
+function isWrappedRetry(locals) {
+  const state = RETRIES.get(locals);
+  return !!state && state.attempt > 1 && !state.reached;
+}
+
+// Helpers.
+
+/** Whether a message is declared idempotent in its service's protocol. */
+function isIdempotent(svc, name) {
+  const schema = svc.protocol.messages && svc.protocol.messages[name];
+  if (!schema) {
+    return false;
+  }
+  // IDL annotations on messages end up on their response type.
+  const response = schema.response;
+  return !!(schema.idempotent || response && response.idempotent);
+}
+
+function retryDelay(attempt, minDelay, maxDelay, jitter) {
+  const delay = Math.min(maxDelay, minDelay * Math.pow(2, attempt - 1));
+  return jitter ? Math.floor(Math.random() * delay) : delay;
+}
+
+function circuitOpenError(name) {
+  return new SystemError('CIRCUIT_OPEN', `circuit open: ${name}`);
+}
+
+
+module.exports = {
+  clientRetries: function (opts) {
+    return function (client) { return retryClient(client, opts); };
+  },
+  createCircuitBreaker,
+  isWrappedRetry
+};
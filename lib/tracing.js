@@ -4,9 +4,11 @@
 
 /** Functionality to enable tracing to clients and servers. */
 
-const utils = require('./utils');
+const {isWrappedRetry} = require('./resilience');
+const types = require('./types');
 
 const avro = require('avsc');
+const crypto = require('crypto');
 const uuid = require('uuid');
 const util = require('util');
 
@@ -15,7 +17,9 @@ const debug = util.debuglog('verdon:tracing');
 // Default key used in locals and headers to store the trace.
 const TRACE_KEY = 'trace';
 
-// Trace type, serialized in message headers.
+// Trace type, serialized in message headers. Its schema must stay identical to
+// earlier versions' (which reject any trailing data), all other trace data is
+// sent in a separate extension header.
 const TRACE_TYPE = avro.Type.forSchema(avro.readSchema(`
   record verdon.Trace {
     fixed Uuid(16) uuid;
@@ -27,20 +31,202 @@ const TRACE_TYPE = avro.Type.forSchema(avro.readSchema(`
       array Call downstreamCalls = [];
     } calls = [];
   }
-`, {typeRefs: utils.TYPE_REFS}), {logicalTypes: utils.LOGICAL_TYPES});
+`, {typeRefs: types.TYPE_REFS}), {logicalTypes: types.LOGICAL_TYPES});
 
-// Convenience import.
+// Trace extension type, serialized in a header named after the trace's key with
+// the suffix below. Older peers ignore it. Its calls mirror the trace's, in the
+// same order. The trace-level tags and events are annotations added by the
+// server handling a call, they get merged into the corresponding call by the
+// client. The sampling decision is made once per trace and propagated
+// downstream; truncation flags mark calls (or traces) whose downstream calls
+// were dropped to fit in headers. Calls are cancelled when their caller aborts
+// them before receiving a response, they appear as errors in the trace header.
+// Extensions are decoded without checking for trailing data, so that later
+// versions can append fields to the record.
+const EXTENSION_TYPE = avro.Type.forSchema(avro.readSchema(`
+  record verdon.TraceExtension {
+    array record CallExtension {
+      union { null, fixed SpanId(8) } spanId = null;
+      union { null, string } protocol = null;
+      union { null, string } scope = null;
+      union { null, string } error = null;
+      map<string> tags = {};
+      array record Event {
+        string name;
+        date time;
+        map<string> tags = {};
+      } events = [];
+      boolean truncated = false;
+      boolean cancelled = false;
+      array CallExtension downstreamCalls = [];
+    } calls = [];
+    map<string> tags = {};
+    array Event events = [];
+    enum Sampling { UNDECIDED, SAMPLE, DROP, FORCE } sampling = "UNDECIDED";
+    boolean truncated = false;
+    union { null, SpanId } parentSpanId = null;
+    union { null, string } traceState = null;
+  }
+`, {typeRefs: types.TYPE_REFS}), {logicalTypes: types.LOGICAL_TYPES});
+
+const EXTENSION_SUFFIX = 'Extension';
+
+// Annotation target (the current call on clients, the returned trace on
+// servers), keyed by call locals.
+const ANNOTATIONS = new WeakMap();
+
+// W3C trace contexts used to seed missing incoming traces, keyed by locals.
+const TRACE_CONTEXTS = new WeakMap();
+
+// Abort signals of outgoing calls (see `promisify`), keyed by locals.
+const SIGNALS = new WeakMap();
+
+// W3C `traceparent` header format (version, trace ID, parent ID, flags).
+const TRACEPARENT_PATTERN =
+  /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-|$)/;
+
+// Convenience imports.
 const Trace = TRACE_TYPE.recordConstructor;
+const Extension = EXTENSION_TYPE.recordConstructor;
+const CallExtension = EXTENSION_TYPE.field('calls').type.itemsType
+  .recordConstructor;
 
-/** Construct a new, empty, trace. */
-function createTrace() {
+/**
+ * Construct a new, empty, trace.
+ *
+ * @param opts {Object} Options:
+ *  + force {Boolean} Sample this trace regardless of any samplers.
+ */
+function createTrace({force = false} = {}) {
   const buf = Buffer.alloc(16);
-  return new Trace(uuid.v4(null, buf));
+  const trace = newTrace(uuid.v4(null, buf));
+  if (force) {
+    trace.sampling = 'FORCE';
+  }
+  return trace;
+}
+
+/**
+ * Extract a W3C trace context from HTTP headers.
+ *
+ * A new context (with a random trace ID) is returned if the headers don't
+ * contain a valid `traceparent`. The upstream sampled flag is honored, but an
+ * unsampled parent leaves the decision to verdon's samplers.
+ *
+ * @param headers {Object} HTTP request headers.
+ */
+function readTraceContext(headers) {
+  const match = TRACEPARENT_PATTERN.exec(headers.traceparent || '');
+  if (
+    !match || match[1] === 'ff' ||
+    /^0+$/.test(match[2]) || /^0+$/.test(match[3])
+  ) {
+    return {
+      uuid: createTrace().uuid,
+      parentSpanId: null,
+      traceState: null,
+      sampling: 'UNDECIDED'
+    };
+  }
+  return {
+    uuid: Buffer.from(match[2], 'hex'),
+    parentSpanId: Buffer.from(match[3], 'hex'),
+    traceState: headers.tracestate || null,
+    sampling: parseInt(match[4], 16) & 1 ? 'SAMPLE' : 'UNDECIDED'
+  };
+}
+
+/**
+ * Format a trace context as `traceparent` header.
+ *
+ * @param ctx {Object} Trace context, as returned by `readTraceContext`.
+ * @param spanId {Buffer} Optional span ID, defaults to the context's parent's
+ * (or a random one).
+ */
+function formatTraceparent(ctx, spanId) {
+  spanId = spanId || ctx.parentSpanId || crypto.randomBytes(8);
+  const sampled = ctx.sampling === 'SAMPLE' || ctx.sampling === 'FORCE';
+  const traceId = ctx.uuid.toString('hex');
+  return `00-${traceId}-${spanId.toString('hex')}-${sampled ? '01' : '00'}`;
+}
+
+/**
+ * Use a trace context for a call's trace if it doesn't receive one.
+ *
+ * This is how traces get stitched to callers which don't speak verdon's trace
+ * headers (e.g. over HTTP). Traces received in message headers take
+ * precedence.
+ *
+ * @param locals {Object} The call's locals.
+ * @param ctx {Object} Trace context, as returned by `readTraceContext`.
+ */
+function seedTrace(locals, ctx) {
+  TRACE_CONTEXTS.set(locals, ctx);
+}
+
+/**
+ * Sampler keeping a given fraction of traces.
+ *
+ * @param rate {Number} Probability of sampling each trace, between 0 and 1.
+ */
+function probabilisticSampler(rate) {
+  return function () { return Math.random() < rate; };
+}
+
+/**
+ * Sampler keeping at most a given number of traces per second.
+ *
+ * @param limit {Number} Maximum sampled traces per second.
+ */
+function rateLimitingSampler(limit) {
+  let tokens = limit;
+  let lastTime = Date.now();
+  return function () {
+    const now = Date.now();
+    tokens = Math.min(limit, tokens + limit * (now - lastTime) / 1000);
+    lastTime = now;
+    if (tokens < 1) {
+      return false;
+    }
+    tokens--;
+    return true;
+  };
+}
+
+/**
+ * Add a tag to the call currently being handled.
+ *
+ * @param ctx {CallContext} The call's context (i.e. `this` inside middleware
+ * and handlers). On clients, the tag is added to the emitted call. On
+ * servers, it is sent back and added to the caller's call.
+ * @param key {String} Tag name.
+ * @param val {String} Tag value.
+ */
+function addTag(ctx, key, val) {
+  const target = annotationTarget(ctx);
+  target.tags[key] = '' + val;
+}
+
+/**
+ * Record an event on the call currently being handled.
+ *
+ * @param ctx {CallContext} The call's context, as for `addTag`.
+ * @param name {String} Event name.
+ * @param tags {Object} Optional map of string tags.
+ */
+function addEvent(ctx, name, tags) {
+  const target = annotationTarget(ctx);
+  target.events.push({name, time: new Date(), tags: tags || {}});
 }
 
 /**
  * Client tracing middleware.
  *
+ * Calls emitted with a `signal` option (an `AbortSignal`, see `promisify`) are
+ * recorded as cancelled, and exported right away, if it aborts before their
+ * response is received. The cancellation is only sent in the trace extension
+ * header, peers which don't read it see these calls as errors.
+ *
  * @param client {Client} Client to instrument.
  * @param opts {Object} Options;
  *  + traceKey {String} The key used to store the trace, both in the call's
@@ -52,19 +238,39 @@ function createTrace() {
  *  + ignoreMissingIncoming {Boolean} Whether to ignore responses which don't
  *    include a trace. This will lead to incomplete downstream call arrays.
  *    Defaults to false.
+ *  + scope {String} Scope recorded on each call, when the client's channels
+ *    target a given scope.
+ *  + sampler {Function} Function called with traces which don't have a
+ *    sampling decision yet (typically new ones), returning whether to sample
+ *    them. The decision is then propagated with the trace to downstream
+ *    services. Calls on traces which aren't sampled aren't recorded. By
+ *    default all traces are sampled (until a downstream server decides
+ *    otherwise, its decision is then adopted).
+ *  + exporter {TraceExporter} Exporter (see `createExporter`) to which each
+ *    call will be sent once complete, along with its downstream calls. To
+ *    avoid duplicate spans, only clients at the edge of the system should
+ *    typically export.
  */
 function traceClient(
     client,
     {
       traceKey = TRACE_KEY,
       createMissingOutgoing = false,
-      ignoreMissingIncoming = false
+      ignoreMissingIncoming = false,
+      scope = null,
+      sampler = null,
+      exporter = null
     } = {}
   ) {
   client.on('channel', function (channel) {
     channel.on('outgoingCall', function (ctx, opts) {
-      // Propagate the trace from the call's options to the context.
-      ctx.locals[traceKey] = opts[traceKey];
+      // Propagate the trace from the call's options to the context. Retries
+      // use their original call's, which might have been created below.
+      const source = isWrappedRetry(ctx.locals) ? opts.locals : opts;
+      ctx.locals[traceKey] = source[traceKey];
+      if (opts.signal) {
+        SIGNALS.set(ctx.locals, opts.signal);
+      }
     });
   });
 
@@ -74,31 +280,76 @@ function traceClient(
       if (createMissingOutgoing) {
         debug('creating missing outgoing trace');
         trace = createTrace();
+        this.locals[traceKey] = trace;
       } else {
         next(new Error('missing outgoing trace'));
         return;
       }
     }
+    decideSampling(trace, sampler, this);
+    // We can save bandwidth by only sending the trace's UUID (and sampling
+    // decision) with the request. This is without loss since they affect
+    // disjoint parts of the trace.
+    wreq.headers[traceKey] = TRACE_TYPE.toBuffer({uuid: trace.uuid});
+    wreq.headers[traceKey + EXTENSION_SUFFIX] = EXTENSION_TYPE.toBuffer({
+      sampling: trace.sampling
+    });
+    if (trace.sampling === 'DROP' || isWrappedRetry(this.locals)) {
+      // Retries are recorded by their original call, which receives their
+      // response's headers.
+      ANNOTATIONS.set(this.locals, {tags: {}, events: []}); // Discarded.
+      next();
+      return;
+    }
+
     const call = {
       name: this.message.name,
       state: this.message.oneWay ? 'ONE_WAY' : 'PENDING',
-      requestTime: new Date()
+      requestTime: new Date(),
+      spanId: crypto.randomBytes(8),
+      protocol: client.service.name,
+      scope,
+      tags: {},
+      events: []
     };
     trace.calls.push(call);
-    // We can save bandwidth by only sending the trace's UUID with the
-    // request. This is without loss since they affect disjoint parts of the
-    // trace.
-    wreq.headers[traceKey] = TRACE_TYPE.toBuffer({uuid: trace.uuid});
+    ANNOTATIONS.set(this.locals, call);
 
     if (this.message.oneWay) {
+      exportCall();
       next();
     } else {
+      const msg = this.message;
+      const signal = SIGNALS.get(this.locals);
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+        } else {
+          signal.addEventListener('abort', onAbort);
+        }
+      }
       next(null, function (err, prev) {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        if (call.state === 'CANCELLED') {
+          // The call was already exported, its late outcome is discarded.
+          prev(err);
+          return;
+        }
         call.responseTime = new Date();
         const traceBuf = wres.headers[traceKey];
         if (traceBuf) {
           try {
-            call.downstreamCalls = TRACE_TYPE.fromBuffer(traceBuf).calls;
+            const downstreamTrace = decodeTrace(
+              traceBuf, wres.headers[traceKey + EXTENSION_SUFFIX]);
+            call.downstreamCalls = downstreamTrace.calls;
+            if (trace.sampling === 'UNDECIDED') {
+              trace.sampling = downstreamTrace.sampling;
+            }
+            call.truncated = downstreamTrace.truncated;
+            Object.assign(call.tags, downstreamTrace.tags);
+            call.events.push(...downstreamTrace.events);
           } catch (cause) {
             debug('invalid incoming trace');
             if (!err) {
@@ -111,10 +362,33 @@ function traceClient(
             err = new Error('missing incoming trace');
           }
         }
-        call.state = (err || wres.error !== undefined) ? 'ERROR' : 'SUCCESS';
+        if (err) {
+          call.state = 'ERROR';
+          call.error = err.message || '' + err;
+        } else if (wres.error !== undefined) {
+          call.state = 'ERROR';
+          call.error = errorMessage(msg, wres.error);
+        } else {
+          call.state = 'SUCCESS';
+        }
+        exportCall();
         prev(err);
       });
     }
+
+    function onAbort() {
+      debug('call to %s cancelled', call.name);
+      call.state = 'CANCELLED';
+      call.responseTime = new Date();
+      exportCall();
+    }
+
+    function exportCall() {
+      if (exporter) {
+        const parentSpanId = trace.parentSpanId;
+        exporter.export({uuid: trace.uuid, parentSpanId, calls: [call]});
+      }
+    }
   };
 }
 
@@ -124,8 +398,19 @@ function traceClient(
  * @param opts {Object} Options;
  *  + traceKey {String} The key used to store the trace, both in the call's
  *    locals and the message headers.
+ *  + sampler {Function} Sampler used for incoming traces without a decision
+ *    (e.g. from older peers or created by this server), see `clientTracing`.
+ *  + maxDepth {Number} Maximum depth of downstream calls returned in response
+ *    headers. Deeper calls are dropped and their parent marked as truncated.
+ *  + maxSize {Number} Maximum size of the returned trace, in bytes. Downstream
+ *    calls are pruned (deepest first, then latest) until the trace fits.
  */
-function traceServer(server, {traceKey = TRACE_KEY} = {}) {
+function traceServer(server, {
+  traceKey = TRACE_KEY,
+  sampler = null,
+  maxDepth = Infinity,
+  maxSize = Infinity
+} = {}) {
   return function (wreq, wres, next) {
     if (wres === undefined) {
       // One-way message.
@@ -140,24 +425,238 @@ function traceServer(server, {traceKey = TRACE_KEY} = {}) {
         return;
       }
       debug('reading incoming trace from headers');
-      locals[traceKey] = TRACE_TYPE.fromBuffer(traceBuf);
+      try {
+        locals[traceKey] = decodeTrace(
+          traceBuf, wreq.headers[traceKey + EXTENSION_SUFFIX]);
+      } catch (err) {
+        next(err);
+        return;
+      }
     } else if (!locals[traceKey]) {
-      debug('creating missing incoming trace');
-      locals[traceKey] = createTrace();
+      const ctx = TRACE_CONTEXTS.get(locals);
+      if (ctx) {
+        debug('seeding missing incoming trace from context');
+        locals[traceKey] = newTrace(ctx.uuid);
+        Object.assign(locals[traceKey], {
+          parentSpanId: ctx.parentSpanId,
+          traceState: ctx.traceState,
+          sampling: ctx.sampling
+        });
+      } else {
+        debug('creating missing incoming trace');
+        locals[traceKey] = createTrace();
+      }
     }
+    const trace = locals[traceKey];
+    decideSampling(trace, sampler, this);
+    ANNOTATIONS.set(locals, trace);
     next(null, function (err, prev) {
-      wres.headers[traceKey] = TRACE_TYPE.toBuffer(locals[traceKey]);
+      // Dropped traces are still returned (without calls), so that clients
+      // learn the decision and don't fail on a missing trace.
+      const bufs = encodeTrace(trace, maxDepth, maxSize);
+      wres.headers[traceKey] = bufs.trace;
+      wres.headers[traceKey + EXTENSION_SUFFIX] = bufs.extension;
       prev(err);
     });
   };
 }
 
+// Helpers.
+
+/** Make a sampling decision if the trace doesn't already have one. */
+function decideSampling(trace, sampler, ctx) {
+  if (trace.sampling === 'UNDECIDED' && sampler) {
+    trace.sampling = sampler(trace, ctx) ? 'SAMPLE' : 'DROP';
+    debug('trace sampling decision: %s', trace.sampling);
+  }
+}
+
+/**
+ * Encode a trace and its extension, truncating them to fit within limits. The
+ * maximum size applies to both headers combined.
+ */
+function encodeTrace(trace, maxDepth, maxSize) {
+  let depth = Math.min(maxDepth, callsDepth(trace.calls));
+  let calls, bufs;
+  while (true) {
+    calls = pruneCalls(trace.calls, depth);
+    bufs = encodeHeaders(trace, calls, trace.truncated);
+    if (bufs.size <= maxSize || depth <= 1) {
+      break;
+    }
+    depth--;
+  }
+  let truncated = trace.truncated;
+  while (bufs.size > maxSize && calls.length) {
+    calls.pop();
+    truncated = true;
+    bufs = encodeHeaders(trace, calls, truncated);
+  }
+  return bufs;
+}
+
+/** Serialize a trace's headers, splitting each call across both. */
+function encodeHeaders(trace, calls, truncated) {
+  const split = splitCalls(calls);
+  const traceBuf = TRACE_TYPE.toBuffer({uuid: trace.uuid, calls: split.calls});
+  const extensionBuf = EXTENSION_TYPE.toBuffer({
+    calls: split.extensions,
+    tags: trace.tags,
+    events: trace.events,
+    sampling: trace.sampling,
+    truncated,
+    parentSpanId: trace.parentSpanId,
+    traceState: trace.traceState
+  });
+  return {
+    trace: traceBuf,
+    extension: extensionBuf,
+    size: traceBuf.length + extensionBuf.length
+  };
+}
+
+/** Separate calls' trace header fields from their extension's. */
+function splitCalls(calls) {
+  const split = {calls: [], extensions: []};
+  for (const call of calls) {
+    const downstream = splitCalls(call.downstreamCalls || []);
+    const cancelled = call.state === 'CANCELLED';
+    split.calls.push({
+      state: cancelled ? 'ERROR' : call.state,
+      name: call.name,
+      requestTime: call.requestTime,
+      responseTime: call.responseTime,
+      downstreamCalls: downstream.calls
+    });
+    split.extensions.push({
+      spanId: call.spanId,
+      protocol: call.protocol,
+      scope: call.scope,
+      error: call.error,
+      tags: call.tags,
+      events: call.events,
+      truncated: call.truncated,
+      cancelled,
+      downstreamCalls: downstream.extensions
+    });
+  }
+  return split;
+}
+
+/** Copy calls, dropping those deeper than the given depth. */
+function pruneCalls(calls, depth) {
+  return calls.map((call) => {
+    const downstreamCalls = call.downstreamCalls || [];
+    if (depth > 1) {
+      return Object.assign({}, call, {
+        downstreamCalls: pruneCalls(downstreamCalls, depth - 1)
+      });
+    }
+    return Object.assign({}, call, {
+      downstreamCalls: [],
+      truncated: call.truncated || downstreamCalls.length > 0
+    });
+  });
+}
+
+/** Maximum depth of a call tree. */
+function callsDepth(calls) {
+  let depth = 0;
+  for (const call of calls) {
+    depth = Math.max(depth, 1 + callsDepth(call.downstreamCalls || []));
+  }
+  return depth;
+}
+
+/** Create a trace with default extension fields. */
+function newTrace(uuid) {
+  return mergeExtension(new Trace(uuid), new Extension());
+}
+
+/**
+ * Decode a trace from its headers. The extension header is missing when the
+ * trace comes from an older peer.
+ */
+function decodeTrace(buf, extensionBuf) {
+  const trace = TRACE_TYPE.fromBuffer(buf);
+  let extension;
+  if (extensionBuf) {
+    const obj = EXTENSION_TYPE.decode(extensionBuf, 0);
+    if (obj.offset < 0) {
+      throw new Error('truncated trace extension');
+    }
+    extension = obj.value;
+  } else {
+    debug('missing trace extension');
+    extension = new Extension();
+  }
+  return mergeExtension(trace, extension);
+}
+
+/** Add an extension's fields to its trace. */
+function mergeExtension(trace, extension) {
+  mergeCalls(trace.calls, extension.calls);
+  trace.tags = extension.tags;
+  trace.events = extension.events;
+  trace.sampling = extension.sampling;
+  trace.truncated = extension.truncated;
+  trace.parentSpanId = extension.parentSpanId;
+  trace.traceState = extension.traceState;
+  return trace;
+}
+
+/** Add extension fields to calls, in place. */
+function mergeCalls(calls, extensions) {
+  calls.forEach((call, i) => {
+    const extension = extensions[i] || new CallExtension();
+    mergeCalls(call.downstreamCalls, extension.downstreamCalls);
+    if (extension.cancelled) {
+      call.state = 'CANCELLED';
+    }
+    call.spanId = extension.spanId;
+    call.protocol = extension.protocol;
+    call.scope = extension.scope;
+    call.error = extension.error;
+    call.tags = extension.tags;
+    call.events = extension.events;
+    call.truncated = extension.truncated;
+  });
+}
+
+/** Describe an application error returned by a call. */
+function errorMessage(msg, err) {
+  if (err instanceof Error) {
+    return err.message;
+  }
+  try {
+    return msg.errorType.toString(err);
+  } catch (cause) {
+    return '' + err;
+  }
+}
+
+/** Find where to store annotations for a call. */
+function annotationTarget(ctx) {
+  const target = ANNOTATIONS.get(ctx.locals);
+  if (!target) {
+    throw new Error('call is not traced');
+  }
+  return target;
+}
+
 
 module.exports = {
+  addEvent,
+  addTag,
   clientTracing: function (opts) {
     return function (client) { return traceClient(client, opts); };
   },
   createTrace,
+  formatTraceparent,
+  probabilisticSampler,
+  rateLimitingSampler,
+  readTraceContext,
+  seedTrace,
   serverTracing: function (opts) {
     return function (server) { return traceServer(server, opts); };
   }
@@ -0,0 +1,331 @@
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+/** Client-side transports, to communicate with proxies. */
+
+const {SystemError} = require('./errors');
+
+const avro = require('avsc');
+const events = require('events');
+const http = require('http');
+const https = require('https');
+const stream = require('stream');
+const {parse: parseUrl} = require('url');
+const util = require('util');
+const wsStream = require('websocket-stream');
+
+const debug = util.debuglog('verdon:transports');
+
+const HEADERS_TYPE = avro.Type.forSchema({type: 'map', values: 'bytes'});
+
+/**
+ * Stateless transport POSTing each request to a proxy.
+ *
+ * The returned function can be passed directly to a client's `createChannel`
+ * method. Each call will be sent as its own `avro/binary` request to
+ * `<url>/<scope>`, which is what a proxy's `postRequestHandler` expects.
+ *
+ * @param url {String} The proxy's URL (including any prefix).
+ * @param opts {Object} Options:
+ *  + scope {String} The scope to send requests to.
+ *  + headers {Object} HTTP headers added to each request (e.g. for
+ *    authentication).
+ */
+function createPostTransport(url, {scope = '', headers = {}} = {}) {
+  return function (cb) {
+    return postRequest(url, scope, headers, 'avro/binary')
+      .on('response', function (res) {
+        if (res.statusCode !== 200) {
+          readBody(res, function (err, str) {
+            cb(err || httpError(res, str));
+          });
+          return;
+        }
+        cb(null, res);
+      })
+      .on('error', cb);
+  };
+}
+
+/**
+ * Send a single message using the proxy's `avro/json` envelope.
+ *
+ * @param url {String} The proxy's URL (including any prefix).
+ * @param jreq {Object} The envelope to send, with the following fields:
+ *  + message {String} Message name.
+ *  + request {Object} JSON representation of the request.
+ *  + headers {Object} Message headers, each value should be a buffer.
+ * @param opts {Object} Options:
+ *  + scope {String} The scope to send the request to.
+ *  + headers {Object} HTTP headers.
+ * @param cb {Function} Called with any HTTP error and the decoded response
+ * envelope (containing either a `response` or `error` field, along with the
+ * response's message `headers`).
+ */
+function postJsonMessage(url, jreq, opts, cb) {
+  if (!cb && typeof opts == 'function') {
+    cb = opts;
+    opts = undefined;
+  }
+  const {scope = '', headers = {}} = opts || {};
+  let body;
+  try {
+    body = JSON.stringify({
+      message: jreq.message,
+      request: jreq.request,
+      headers: JSON.parse(HEADERS_TYPE.toString(jreq.headers || {}))
+    });
+  } catch (err) {
+    process.nextTick(function () { cb(err); });
+    return;
+  }
+  postRequest(url, scope, headers, 'avro/json')
+    .on('response', function (res) {
+      readBody(res, function (err, str) {
+        if (err) {
+          cb(err);
+          return;
+        }
+        if (res.statusCode !== 200) {
+          cb(httpError(res, str));
+          return;
+        }
+        let jres;
+        try {
+          jres = JSON.parse(str);
+          jres.headers = HEADERS_TYPE.fromString(
+            JSON.stringify(jres.headers || {}));
+        } catch (cause) {
+          cb(cause);
+          return;
+        }
+        cb(null, jres);
+      });
+    })
+    .on('error', cb)
+    .end(body);
+}
+
+/**
+ * Reconnecting WebSocket connection to a proxy.
+ *
+ * Clients bound to the connector get a channel for their scope on each socket.
+ * Whenever the socket closes, a new one is opened after an exponentially
+ * increasing delay (reset once a connection succeeds) and channels are
+ * re-created on it. Calls emitted while disconnected are buffered until then
+ * (subject to their timeout), calls in flight when a socket closes fail once
+ * they time out.
+ *
+ * The following events are emitted:
+ *  + `'connect'`, when a socket opens.
+ *  + `'disconnect'`, with any error, when a socket closes. The number of
+ *    milliseconds until the next connection attempt is passed as second
+ *    argument.
+ */
+class WebSocketConnector extends events.EventEmitter {
+
+  constructor(url, {
+    scopes = [''],
+    headers = {},
+    minDelay = 100,
+    maxDelay = 30000
+  } = {}) {
+    super();
+    this.url = url.replace(/\/+$/, '') + '/' + scopes.join('+');
+    this._scopes = scopes;
+    this._headers = headers;
+    this._minDelay = minDelay;
+    this._maxDelay = maxDelay;
+    this._delay = minDelay;
+    this._bindings = [];
+    this._stream = null;
+    this._relay = createRelay();
+    this._channels = [];
+    this._connected = false;
+    this._timer = null;
+    this._closed = false;
+    process.nextTick(() => { this._connect(); });
+  }
+
+  /** Whether a socket is currently open. */
+  isConnected() {
+    return this._connected;
+  }
+
+  /**
+   * Create channels for a client on each connection.
+   *
+   * @param client {Client} The client.
+   * @param opts {Object} Options:
+   *  + scope {String} The scope to connect the client to. It must be one of the
+   *    connector's scopes.
+   */
+  bindClient(client, {scope = ''} = {}) {
+    if (!~this._scopes.indexOf(scope)) {
+      throw new Error(`invalid scope: ${scope}`);
+    }
+    const binding = {client, scope};
+    this._bindings.push(binding);
+    if (!this._closed) {
+      this._createChannel(binding);
+    }
+    return this;
+  }
+
+  /** Close the current socket and stop reconnecting. */
+  close() {
+    this._closed = true;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    this._destroyChannels();
+    if (this._stream) {
+      this._stream.destroy();
+    }
+  }
+
+  _connect() {
+    this._timer = null;
+    if (this._closed) {
+      return;
+    }
+    debug('connecting to %s', this.url);
+    const sock = wsStream(this.url, {headers: this._headers});
+    this._stream = sock;
+    let connected = false;
+    let closed = false;
+    sock
+      .on('connect', () => {
+        debug('connected to %s', this.url);
+        connected = true;
+        this._connected = true;
+        this._delay = this._minDelay;
+        this._relay.writable.pipe(sock);
+        sock.pipe(this._relay.readable, {end: false});
+        this.emit('connect');
+      })
+      .on('error', onClose)
+      .on('close', onClose);
+
+    const self = this;
+
+    function onClose(err) {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      self._connected = false;
+      self._stream = null;
+      if (connected) {
+        // The current channels' handshakes and calls were (at least partly)
+        // sent on this socket, they can't be reused.
+        self._relay.writable.unpipe(sock);
+        sock.unpipe(self._relay.readable);
+        self._destroyChannels();
+      }
+      if (self._closed) {
+        self.emit('disconnect', err);
+        return;
+      }
+      const delay = self._delay;
+      self._delay = Math.min(2 * delay, self._maxDelay);
+      debug('disconnected, reconnecting in %sms', delay);
+      self._timer = setTimeout(() => { self._connect(); }, delay);
+      self.emit('disconnect', err, delay);
+    }
+  }
+
+  /**
+   * Create a client's channel on the current relay.
+   *
+   * The channel's handshake isn't timed out since the connector might still be
+   * disconnected, calls emitted on it are subject to their own timeouts.
+   */
+  _createChannel({client, scope}) {
+    const opts = {scope, timeout: 0, endWritable: false};
+    this._channels.push(client.createChannel(this._relay, opts));
+  }
+
+  /**
+   * Drain the current channels and create new ones on a fresh relay (unless
+   * the connector is closed).
+   */
+  _destroyChannels() {
+    for (const channel of this._channels) {
+      channel.destroy();
+    }
+    this._channels = [];
+    this._relay = createRelay();
+    if (!this._closed) {
+      for (const binding of this._bindings) {
+        this._createChannel(binding);
+      }
+    }
+  }
+}
+
+/**
+ * Connect to a proxy's `webSocketHandler`.
+ *
+ * @param url {String} The proxy's URL (e.g. `ws://localhost:8080`).
+ * @param opts {Object} Options:
+ *  + scopes {Array} Scopes to connect to, defaults to the empty scope.
+ *  + headers {Object} HTTP headers sent when opening each socket (e.g. for
+ *    authentication).
+ *  + minDelay {Number} Initial delay before reconnecting, in milliseconds.
+ *  + maxDelay {Number} Maximum delay before reconnecting.
+ */
+function connectWebSocket(url, opts) {
+  return new WebSocketConnector(url, opts);
+}
+
+// Helpers.
+
+/** Start a POST request to a proxy's scope. */
+function postRequest(url, scope, headers, contentType) {
+  const obj = parseUrl(url);
+  const path = (obj.pathname || '').replace(/\/+$/, '') + '/' + scope;
+  debug('posting %s request to %s', contentType, path);
+  return (obj.protocol === 'https:' ? https : http).request({
+    method: 'POST',
+    host: obj.hostname,
+    port: obj.port,
+    path,
+    headers: Object.assign({}, headers, {'content-type': contentType})
+  });
+}
+
+/**
+ * Streams which channels are created on, and which get piped to and from a
+ * socket once it is open. Calls emitted before then are buffered in them.
+ */
+function createRelay() {
+  return {
+    readable: new stream.PassThrough(),
+    writable: new stream.PassThrough()
+  };
+}
+
+/** Read a response's entire body as string. */
+function readBody(res, cb) {
+  const bufs = [];
+  res
+    .on('error', cb)
+    .on('data', function (buf) { bufs.push(buf); })
+    .on('end', function () { cb(null, Buffer.concat(bufs).toString()); });
+}
+
+/** Error corresponding to a proxy's non-200 response. */
+function httpError(res, body) {
+  const type = res.headers['content-type'];
+  return SystemError.fromHttp(res.statusCode, body || res.statusMessage, type);
+}
+
+
+module.exports = {
+  connectWebSocket,
+  createPostTransport,
+  postJsonMessage
+};
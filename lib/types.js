@@ -0,0 +1,433 @@
+/* jshint esversion: 6, node: true */
+
+'use strict';
+
+/** Logical types, and options to use them when creating services. */
+
+const avro = require('avsc');
+const util = require('util');
+
+const debug = util.debuglog('verdon:types');
+
+// Type references used when assembling schemas.
+const TYPE_REFS = {
+  date: {type: 'long', logicalType: 'timestamp-ms'},
+  uuid: {type: 'string', logicalType: 'uuid'}
+};
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DECIMAL_PATTERN = /^([-+]?)(\d+)(?:\.(\d+))?$/;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const TIME_PATTERN = /^(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+
+const MILLIS_PER_DAY = 86400000;
+
+// Range of days which can be represented as `'YYYY-MM-DD'` strings, from
+// 0000-01-01 to 9999-12-31 (relative to the Unix epoch).
+const MIN_DAY = -719528;
+const MAX_DAY = 2932896;
+
+const MAX_UINT32 = 0xffffffff;
+
+/** Custom logical type to represent dates as `Date` objects. */
+class DateType extends avro.types.LogicalType {
+
+  _fromValue(val) { return new Date(val); }
+
+  _toValue(any) {
+    if (any !== null && (any instanceof Date || !isNaN(any))) {
+      return +any;
+    }
+  }
+
+  _resolve(type) {
+    if (avro.Type.isType(type, 'long', 'string')) {
+      return this._fromValue;
+    }
+  }
+}
+
+/**
+ * Microsecond timestamps, also represented as `Date` objects.
+ *
+ * Note that dates only have millisecond precision, microseconds are truncated
+ * when decoding.
+ */
+class MicrosDateType extends avro.types.LogicalType {
+
+  _fromValue(val) { return new Date(Math.floor(val / 1000)); }
+
+  _toValue(any) {
+    if (any !== null && (any instanceof Date || !isNaN(any))) {
+      return 1000 * any;
+    }
+  }
+
+  _resolve(type) {
+    if (avro.Type.isType(type, 'long')) {
+      return this._fromValue;
+    }
+    if (avro.Type.isType(type, 'logical:timestamp-ms')) {
+      return (date) => date;
+    }
+  }
+}
+
+/**
+ * Logical type whose values are also used in its JSON representation.
+ *
+ * This lets avro/json requests (e.g. sent to a proxy) contain readable values
+ * rather than their underlying encoding, for example decimals as `"12.30"`
+ * instead of bytes.
+ */
+class JsonLogicalType extends avro.types.LogicalType {
+
+  _copy(any) {
+    const val = this._toValue(any);
+    if (val === undefined) {
+      throw new Error(`invalid ${this.typeName}: ${util.inspect(any)}`);
+    }
+    return this._fromValue(val);
+  }
+
+  _resolve(type) {
+    if (type.typeName === this.typeName) {
+      return (val) => this._fromValue(this._toValue(val));
+    }
+    if (avro.Type.isType(type, this.underlyingType.typeName)) {
+      return this._fromValue;
+    }
+  }
+}
+
+/**
+ * Arbitrary precision decimals, represented as strings (e.g. `'-12.30'`).
+ *
+ * BigInts are also accepted when encoding, as integral values. Values with
+ * more significant digits than the schema's precision, or more fractional
+ * digits than its scale, are invalid.
+ */
+class DecimalType extends JsonLogicalType {
+
+  constructor(schema, opts) {
+    super(schema, opts);
+    const precision = schema.precision;
+    const scale = schema.scale || 0;
+    if (!Number.isInteger(precision) || precision <= 0) {
+      throw new Error(`invalid decimal precision: ${precision}`);
+    }
+    if (!Number.isInteger(scale) || scale < 0 || scale > precision) {
+      throw new Error(`invalid decimal scale: ${scale}`);
+    }
+    const type = this.underlyingType;
+    if (!avro.Type.isType(type, 'bytes', 'fixed')) {
+      throw new Error(`invalid decimal type: ${type.typeName}`);
+    }
+    this._precision = precision;
+    this._scale = scale;
+    this._size = type.size; // Undefined for bytes.
+  }
+
+  _fromValue(buf) {
+    const unscaled = bufferToBigInt(buf);
+    const digits = (unscaled < 0 ? -unscaled : unscaled).toString()
+      .padStart(this._scale + 1, '0');
+    const sign = unscaled < 0 ? '-' : '';
+    if (!this._scale) {
+      return sign + digits;
+    }
+    const index = digits.length - this._scale;
+    return `${sign}${digits.slice(0, index)}.${digits.slice(index)}`;
+  }
+
+  _toValue(any) {
+    let unscaled;
+    if (typeof any == 'bigint') {
+      unscaled = any * BigInt(`1${'0'.repeat(this._scale)}`);
+    } else if (typeof any == 'string') {
+      const match = DECIMAL_PATTERN.exec(any);
+      if (!match) {
+        return undefined;
+      }
+      let fraction = match[3] || '';
+      if (fraction.length > this._scale) {
+        if (/[^0]/.test(fraction.slice(this._scale))) {
+          return undefined; // Would lose precision.
+        }
+        fraction = fraction.slice(0, this._scale);
+      }
+      const digits = match[2] + fraction.padEnd(this._scale, '0');
+      unscaled = BigInt(match[1] + digits);
+    } else {
+      return undefined;
+    }
+    const abs = unscaled < 0 ? -unscaled : unscaled;
+    if (abs.toString().length > this._precision) {
+      return undefined;
+    }
+    return bigIntToBuffer(unscaled, this._size);
+  }
+
+  _resolve(type) {
+    if (
+      avro.Type.isType(type, 'logical:decimal') &&
+      type._scale === this._scale
+    ) {
+      return (val) => this._fromValue(this._toValue(val));
+    }
+  }
+
+  _export(attrs) {
+    attrs.precision = this._precision;
+    attrs.scale = this._scale;
+  }
+}
+
+/**
+ * UUIDs, represented as strings.
+ *
+ * The underlying type can either be a `string` or a `fixed` of size 16.
+ */
+class UuidType extends JsonLogicalType {
+
+  constructor(schema, opts) {
+    super(schema, opts);
+    const type = this.underlyingType;
+    if (
+      !avro.Type.isType(type, 'string') &&
+      !(avro.Type.isType(type, 'fixed') && type.size === 16)
+    ) {
+      throw new Error(`invalid uuid type: ${type.typeName}`);
+    }
+  }
+
+  _fromValue(val) {
+    if (typeof val == 'string') {
+      return val;
+    }
+    const hex = val.toString('hex');
+    return [
+      hex.slice(0, 8),
+      hex.slice(8, 12),
+      hex.slice(12, 16),
+      hex.slice(16, 20),
+      hex.slice(20)
+    ].join('-');
+  }
+
+  _toValue(any) {
+    if (typeof any != 'string' || !UUID_PATTERN.test(any)) {
+      return undefined;
+    }
+    if (avro.Type.isType(this.underlyingType, 'string')) {
+      return any;
+    }
+    return Buffer.from(any.replace(/-/g, ''), 'hex');
+  }
+}
+
+/**
+ * Calendar days, represented as `'YYYY-MM-DD'` strings (in UTC).
+ *
+ * Only years 0 to 9999 can be represented, decoding days outside of this range
+ * fails.
+ */
+class DayType extends JsonLogicalType {
+
+  _fromValue(val) {
+    if (!(val >= MIN_DAY && val <= MAX_DAY)) {
+      throw new Error(`date out of range: ${val}`);
+    }
+    return new Date(val * MILLIS_PER_DAY).toISOString().slice(0, 10);
+  }
+
+  _toValue(any) {
+    let val;
+    if (any instanceof Date) {
+      val = Math.floor(any.getTime() / MILLIS_PER_DAY);
+      return val >= MIN_DAY && val <= MAX_DAY ? val : undefined;
+    }
+    if (typeof any != 'string' || !DAY_PATTERN.test(any)) {
+      return undefined;
+    }
+    val = Date.parse(`${any}T00:00:00Z`) / MILLIS_PER_DAY;
+    // Out of range days (e.g. February 30th) would otherwise roll over.
+    return !isNaN(val) && this._fromValue(val) === any ? val : undefined;
+  }
+}
+
+/**
+ * Times of day, represented as `'HH:MM:SS.sss'` strings.
+ *
+ * Decoding values outside of a day (negative, or 24 hours or more) fails.
+ */
+class TimeType extends JsonLogicalType {
+
+  _fromValue(val) {
+    if (!(val >= 0 && val < MILLIS_PER_DAY)) {
+      throw new Error(`time out of range: ${val}`);
+    }
+    return new Date(val).toISOString().slice(11, 23);
+  }
+
+  _toValue(any) {
+    const match = typeof any == 'string' && TIME_PATTERN.exec(any);
+    if (!match) {
+      return undefined;
+    }
+    const hours = +match[1];
+    const minutes = +match[2];
+    const seconds = +(match[3] || 0);
+    const millis = +(match[4] || '0').padEnd(3, '0');
+    if (hours > 23 || minutes > 59 || seconds > 59) {
+      return undefined;
+    }
+    return 1000 * (3600 * hours + 60 * minutes + seconds) + millis;
+  }
+}
+
+/**
+ * Durations, represented as objects with integer `months`, `days`, and
+ * `milliseconds` fields.
+ *
+ * The underlying type must be a `fixed` of size 12.
+ */
+class DurationType extends JsonLogicalType {
+
+  constructor(schema, opts) {
+    super(schema, opts);
+    const type = this.underlyingType;
+    if (!avro.Type.isType(type, 'fixed') || type.size !== 12) {
+      throw new Error(`invalid duration type: ${type.typeName}`);
+    }
+  }
+
+  _fromValue(buf) {
+    return {
+      months: buf.readUInt32LE(0),
+      days: buf.readUInt32LE(4),
+      milliseconds: buf.readUInt32LE(8)
+    };
+  }
+
+  _toValue(any) {
+    if (!any || typeof any != 'object') {
+      return undefined;
+    }
+    const buf = Buffer.alloc(12);
+    const fields = ['months', 'days', 'milliseconds'];
+    for (let i = 0; i < fields.length; i++) {
+      const val = any[fields[i]] || 0;
+      if (!Number.isInteger(val) || val < 0 || val > MAX_UINT32) {
+        return undefined;
+      }
+      buf.writeUInt32LE(val, 4 * i);
+    }
+    return buf;
+  }
+}
+
+// Logical type implementations, keyed by logical type name.
+const LOGICAL_TYPES = {
+  'date': DayType,
+  'decimal': DecimalType,
+  'duration': DurationType,
+  'time-millis': TimeType,
+  'timestamp-micros': MicrosDateType,
+  'timestamp-ms': DateType,
+  'uuid': UuidType
+};
+
+/**
+ * Options to create types (or services) using verdon's logical types.
+ *
+ * For example, `avro.Service.forProtocol(ptcl, typeOptions())`. Services
+ * created this way can be promisified and bound to proxies as usual, their
+ * logical types are then also used when decoding avro/json requests.
+ *
+ * @param opts {Object} Any other type options, forwarded as is, and:
+ *  + bigInts {Boolean} Represent all `long`s as BigInts, to support values
+ *    larger than `Number.MAX_SAFE_INTEGER`. Note that this only applies to
+ *    `long` type references, not to the underlying types of logical types.
+ *  + logicalTypes {Object} Additional logical types, taking precedence over
+ *    verdon's.
+ *  + typeRefs {Object} Additional type references, used when parsing IDL.
+ */
+function typeOptions(opts) {
+  const ret = Object.assign({}, opts);
+  ret.logicalTypes = Object.assign({}, LOGICAL_TYPES, ret.logicalTypes);
+  ret.typeRefs = Object.assign({}, TYPE_REFS, ret.typeRefs);
+  if (ret.bigInts) {
+    // A fresh registry since avsc adds all created types to it.
+    ret.registry = Object.assign({}, ret.registry, {long: bigIntLongType()});
+  }
+  delete ret.bigInts;
+  return ret;
+}
+
+// Helpers.
+
+/** Long type represented as BigInts. */
+function bigIntLongType() {
+  debug('creating bigint long type');
+  return avro.types.LongType.__with({
+    fromBuffer: (buf) => buf.readBigInt64LE(0),
+    toBuffer: function (n) {
+      const buf = Buffer.alloc(8);
+      buf.writeBigInt64LE(n);
+      return buf;
+    },
+    fromJSON: (any) => BigInt(any),
+    // Unsafe integers are represented as strings to be preserved by JSON.
+    toJSON: (n) => Number.isSafeInteger(Number(n)) ? Number(n) : '' + n,
+    isValid: (n) => typeof n == 'bigint' && BigInt.asIntN(64, n) === n,
+    compare: (n1, n2) => n1 === n2 ? 0 : (n1 < n2 ? -1 : 1)
+  });
+}
+
+/** Decode a big-endian two's complement integer. */
+function bufferToBigInt(buf) {
+  if (!buf.length) {
+    return BigInt(0);
+  }
+  const n = BigInt(`0x${buf.toString('hex')}`);
+  const bits = BigInt(8 * buf.length);
+  return buf[0] & 0x80 ? n - (BigInt(1) << bits) : n;
+}
+
+/**
+ * Encode an integer in big-endian two's complement.
+ *
+ * @param n {BigInt} The integer.
+ * @param size {Number} Size of the buffer. By default the minimal size is
+ * used. If the integer doesn't fit, `undefined` is returned.
+ */
+function bigIntToBuffer(n, size) {
+  let minSize = 1;
+  while (!fits(minSize)) {
+    minSize++;
+  }
+  size = size === undefined ? minSize : size;
+  if (size < minSize) {
+    return undefined;
+  }
+  const bits = BigInt(8 * size);
+  const val = n < 0 ? n + (BigInt(1) << bits) : n;
+  return Buffer.from(val.toString(16).padStart(2 * size, '0'), 'hex');
+
+  function fits(size) {
+    const limit = BigInt(1) << BigInt(8 * size - 1);
+    return -limit <= n && n < limit;
+  }
+}
+
+
+module.exports = {
+  LOGICAL_TYPES,
+  TYPE_REFS,
+  typeOptions
+};
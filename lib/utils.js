@@ -4,31 +4,40 @@
 
 /** Various utilities. */
 
+const errors = require('./errors');
+
 const Promise = require('bluebird');
-const avro = require('avsc');
+const crypto = require('crypto');
+const util = require('util');
 
-// Type references used when assembling schemas.
-const TYPE_REFS = {
-  date: {type: 'long', logicalType: 'timestamp-ms'}
-};
+const debug = util.debuglog('verdon:utils');
 
-/** Custom logical type to represent dates as `Date` objects. */
-class DateType extends avro.types.LogicalType {
+// Fields of paginated messages: requests have a (nullable) cursor and an
+// optional page size, responses contain a page of items and the next page's
+// cursor (null after the last page).
+const CURSOR_FIELD = 'cursor';
+const PAGE_SIZE_FIELD = 'pageSize';
+const ITEMS_FIELD = 'items';
+const NEXT_CURSOR_FIELD = 'nextCursor';
 
-  _fromValue(val) { return new Date(val); }
+const DEFAULT_PAGE_SIZE = 100;
 
-  _toValue(any) {
-    if (any !== null && (any instanceof Date || !isNaN(any))) {
-      return +any;
-    }
-  }
+// Delay after which servers abandon unfinished iterations, in milliseconds.
+const ITERATION_TIMEOUT = 60000;
 
-  _resolve(type) {
-    if (avro.Type.isType(type, 'long', 'string')) {
-      return this._fromValue;
-    }
-  }
-}
+// Default maximum number of unfinished iterations kept by each handler.
+const MAX_ITERATIONS = 1000;
+
+// Only available natively from node 10.
+const ASYNC_ITERATOR = Symbol.asyncIterator || Symbol.for('asyncIterator');
+
+// Error registry used when promisifying without one, it only translates system
+// errors.
+const DEFAULT_ERRORS = errors.createErrorRegistry();
+
+// Identifiers of object principals (see `principalIdentity`).
+const PRINCIPAL_IDS = new WeakMap();
+let lastPrincipalId = 0;
 
 /**
  * Transform (in-place) client RPC methods to also support promises.
@@ -37,9 +46,14 @@ class DateType extends avro.types.LogicalType {
  * promise. This promise will be bound to the call's context (similar to the
  * callback-based API). Additionally, the new methods will unwrap any remote
  * errors to enable the standard `.catch(MyError, fn)` bluebird idiom; see the
- * attached example for details.
+ * attached example for details. Errors are then translated by the registry,
+ * for example to turn code-prefixed strings into `SystemError`s.
+ *
+ * Calls can be cancelled by passing an `AbortSignal` as `signal` option. When
+ * it aborts, the promise is rejected immediately with an `AbortError` (and
+ * isn't bound to any context), the call's eventual response is discarded.
  */
-function promisifyClient(client) {
+function promisifyClient(client, registry) {
   // Note that we can't just promisify the method the standard way since we
   // would have no way to access the call's context (only present in the
   // request's callback). Hence the promise twiddling below.
@@ -48,6 +62,10 @@ function promisifyClient(client) {
     if (cb || (!cb && typeof opts == 'function')) {
       return originalFn.call(this, name, req, opts, cb);
     }
+    const signal = opts && opts.signal;
+    if (signal && signal.aborted) {
+      return Promise.reject(abortError(name));
+    }
     let reject, resolve, resolveCtx;
     const promise = new Promise(function (resolve_, reject_) {
       resolve = resolve_;
@@ -56,7 +74,14 @@ function promisifyClient(client) {
     const ctxPromise = new Promise(function (resolveCtx_) {
       resolveCtx = resolveCtx_; // Never rejected.
     });
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
     originalFn.call(this, name, req, opts, function (err, res) {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      // No-ops if the call was aborted.
       resolveCtx(this);
       if (err !== undefined && err !== null) {
         // This will yield a false positive if someone defined `null` as valid
@@ -72,35 +97,122 @@ function promisifyClient(client) {
             err = cause;
           }
         }
-        reject(err);
+        reject(registry.decode(err));
       } else {
         resolve(res);
       }
     });
     return promise.bind(ctxPromise);
+
+    function onAbort() {
+      resolveCtx(undefined);
+      reject(abortError(name));
+    }
   };
   return client;
 }
 
+/**
+ * Iterate over all items of a paginated message.
+ *
+ * Paginated messages' requests have a `cursor` field (a nullable string) and
+ * optionally a `pageSize`, their responses are records with an `items` array
+ * and a `nextCursor`. Pages are requested lazily, as the returned async
+ * iterator is consumed (e.g. via `for await`). Breaking out of the iteration
+ * early simply stops requesting pages.
+ *
+ * @param client {Client} Client to emit the message from, it doesn't need to
+ * be promisified.
+ * @param name {String} The paginated message's name.
+ * @param req {Object} The message's request, its cursor is set automatically.
+ * @param opts {Object} Options forwarded to each call, e.g. `timeout`.
+ */
+function iterateMessage(client, name, req, opts) {
+  const msg = client.service.message(name);
+  if (!msg || !isPaginated(msg)) {
+    throw new Error(`not a paginated message: ${name}`);
+  }
+  const cursorType = msg.requestType.field(CURSOR_FIELD).type;
+  let items = [];
+  let cursor = null;
+  let done = false;
+  let queue = Promise.resolve(); // Serializes concurrent `next` calls.
+  const iterator = {
+    next() {
+      const ret = queue.then(step);
+      queue = ret.catch(function () {}); // Errors are returned to the caller.
+      return ret;
+    },
+    return() {
+      done = true;
+      items = [];
+      return Promise.resolve({done: true, value: undefined});
+    }
+  };
+  iterator[ASYNC_ITERATOR] = function () { return this; };
+  return iterator;
+
+  function step() {
+    if (items.length) {
+      return {done: false, value: items.shift()};
+    }
+    if (done) {
+      return {done: true, value: undefined};
+    }
+    return fetchPage().then(step);
+  }
+
+  function fetchPage() {
+    const pageReq = Object.assign({}, req);
+    pageReq[CURSOR_FIELD] = cursorType.clone(cursor, {wrapUnions: true});
+    return new Promise(function (resolve, reject) {
+      client.emitMessage(name, pageReq, opts || {}, function (err, res) {
+        if (err !== undefined && err !== null) {
+          done = true;
+          reject(err);
+          return;
+        }
+        items = res[ITEMS_FIELD].slice();
+        cursor = unwrap(res[NEXT_CURSOR_FIELD]);
+        done = cursor === null || cursor === undefined;
+        resolve();
+      });
+    });
+  }
+}
+
 /**
  * Transform (in-place) a server to also accept promise-based handlers.
  *
  * As a convenience, we also allow handlers to throw remote errors without
  * having to wrap them first (even when the message's errors type is a wrapped
- * union).
+ * union). Other errors are translated by the registry when possible (e.g.
+ * registered classes and `SystemError`s).
+ *
+ * Handlers of paginated messages (see `iterateMessage`) can also return an
+ * async iterable of items, for example by being async generators. Its items
+ * are then sent a page at a time, the iterator being kept in memory between
+ * calls. Iteration is therefore sticky: all pages must be requested from the
+ * same server process, which breaks behind a pool (or anything else spreading
+ * calls across replicated backends). Such handlers should return pages
+ * directly instead, with cursors any backend can resume from.
  */
-function promisifyServer(server) {
+function promisifyServer(server, registry, maxIterations) {
   const fn = server.onMessage;
   server.onMessage = function (name, handler) {
     const msg = this.service.message(name);
     if (!msg || msg.oneWay || handler.length > 1) {
       return fn.call(this, name, handler);
     }
-    const wrappedHandler = Promise.method(handler);
+    let wrappedHandler = Promise.method(handler);
+    if (isPaginated(msg)) {
+      wrappedHandler = paginateHandler(msg, wrappedHandler, maxIterations);
+    }
     return fn.call(this, name, function (req, cb) {
       wrappedHandler.call(this, req)
         .then(function (res) { cb(undefined, res); })
         .catch(function (err) {
+          err = registry.encode(err, msg);
           if (
             err && typeof err.wrap == 'function' &&
             msg.errorType.typeName === 'union:wrapped'
@@ -189,31 +301,183 @@ function promisifyMiddleware(clientOrServer) {
   }
 }
 
-/** Public API to promisify a single client or server. */
-function promisify(clientOrServer) {
+/**
+ * Public API to promisify a single client or server.
+ *
+ * @param clientOrServer {Client|Server} Client or server to promisify.
+ * @param opts {Object} Options:
+ *  + errors {ErrorRegistry} Registry used to translate errors (see
+ *    `createErrorRegistry`). By default only system errors are translated.
+ *  + maxIterations {Number} Maximum number of unfinished iterations kept in
+ *    memory by each paginated message's handler, when returning async
+ *    iterables. The least recently used ones are abandoned first. Defaults to
+ *    1000.
+ */
+function promisify(clientOrServer, {
+  errors = DEFAULT_ERRORS,
+  maxIterations = MAX_ITERATIONS
+} = {}) {
   if (clientOrServer.emitMessage) {
-    promisifyClient(clientOrServer);
+    promisifyClient(clientOrServer, errors);
   } else if (clientOrServer.onMessage) {
-    promisifyServer(clientOrServer);
+    promisifyServer(clientOrServer, errors, maxIterations);
   } else {
     throw new TypeError(`unable to promisify ${clientOrServer}`);
   }
   return promisifyMiddleware(clientOrServer);
 }
 
-/** Permanently and globally promisify clients and servers. */
-function promisifyAll(Service) {
-  promisifyClient(Service.Client.prototype);
-  promisifyServer(Service.Server.prototype);
+/**
+ * Permanently and globally promisify clients and servers.
+ *
+ * The options are the same as `promisify`'s.
+ */
+function promisifyAll(Service, {
+  errors = DEFAULT_ERRORS,
+  maxIterations = MAX_ITERATIONS
+} = {}) {
+  promisifyClient(Service.Client.prototype, errors);
+  promisifyServer(Service.Server.prototype, errors, maxIterations);
   promisifyMiddleware(Service.Client.prototype);
   promisifyMiddleware(Service.Server.prototype);
 }
 
+/**
+ * String identifying a principal (e.g. the one stored in locals by proxies).
+ *
+ * Principals are never serialized: primitives are identified by value, and
+ * objects by reference. Two distinct objects are therefore always different
+ * callers, however similar they look.
+ *
+ * @param principal {Any} The principal, `undefined` for anonymous callers.
+ */
+function principalIdentity(principal) {
+  if (principal === undefined || principal === null) {
+    return '';
+  }
+  const type = typeof principal;
+  if (type == 'object' || type == 'function') {
+    let id = PRINCIPAL_IDS.get(principal);
+    if (id === undefined) {
+      id = ++lastPrincipalId;
+      PRINCIPAL_IDS.set(principal, id);
+    }
+    return `#${id}`;
+  }
+  return `${type}:${String(principal)}`;
+}
+
+// Helpers.
+
+/** Whether a message follows the pagination convention. */
+function isPaginated(msg) {
+  const resType = msg.responseType;
+  return !!(
+    msg.requestType.field(CURSOR_FIELD) &&
+    resType.typeName === 'record' &&
+    resType.field(ITEMS_FIELD) &&
+    resType.field(NEXT_CURSOR_FIELD)
+  );
+}
+
+/**
+ * Serve pages from the async iterables returned by a paginated message's
+ * handler.
+ *
+ * Unfinished iterators are stored in memory under the cursor sent to the
+ * client, until it requests the next page or the iteration times out (or is
+ * evicted, to keep at most `maxIterations`). Handlers can still return pages
+ * directly, they are then called with all other cursors.
+ */
+function paginateHandler(msg, handler, maxIterations) {
+  // Keyed by cursor, in order of use (most recent last).
+  const iterations = new Map();
+  const cursorType = msg.responseType.field(NEXT_CURSOR_FIELD).type;
+  return function (req) {
+    const cursor = unwrap(req[CURSOR_FIELD]);
+    const pageSize = unwrap(req[PAGE_SIZE_FIELD]) || DEFAULT_PAGE_SIZE;
+    const iteration = iterations.get(cursor);
+    if (iteration) {
+      iterations.delete(cursor);
+      clearTimeout(iteration.timer);
+      return readPage(iteration.iterator, pageSize);
+    }
+    return handler.call(this, req).then(function (ret) {
+      if (!ret || typeof ret[ASYNC_ITERATOR] != 'function') {
+        return ret;
+      }
+      if (cursor !== null && cursor !== undefined) {
+        // The cursor's iteration expired (or never existed).
+        throw new Error(`invalid cursor: ${cursor}`);
+      }
+      return readPage(ret[ASYNC_ITERATOR](), pageSize);
+    });
+  };
+
+  function readPage(iterator, pageSize) {
+    const items = [];
+    return pull();
+
+    function pull() {
+      return Promise.resolve(iterator.next()).then(function (ret) {
+        if (ret.done) {
+          return page(null);
+        }
+        items.push(ret.value);
+        if (items.length < pageSize) {
+          return pull();
+        }
+        const nextCursor = crypto.randomBytes(16).toString('hex');
+        const timer = setTimeout(function () {
+          abandon(nextCursor);
+        }, ITERATION_TIMEOUT);
+        timer.unref();
+        iterations.set(nextCursor, {iterator, timer});
+        if (iterations.size > maxIterations) {
+          // Maps iterate in insertion order, the first key is the least
+          // recently used (iterations are reinserted on each page).
+          abandon(iterations.keys().next().value);
+        }
+        return page(nextCursor);
+      });
+    }
+
+    function page(nextCursor) {
+      const res = {};
+      res[ITEMS_FIELD] = items;
+      res[NEXT_CURSOR_FIELD] = cursorType.clone(nextCursor, {wrapUnions: true});
+      return res;
+    }
+  }
+
+  function abandon(cursor) {
+    const {iterator, timer} = iterations.get(cursor);
+    debug('abandoning iteration %s', cursor);
+    iterations.delete(cursor);
+    clearTimeout(timer);
+    if (typeof iterator.return == 'function') {
+      iterator.return();
+    }
+  }
+}
+
+/** Error returned when a call is aborted. */
+function abortError(name) {
+  const err = new Error(`call aborted: ${name}`);
+  err.name = 'AbortError';
+  err.code = 'ABORT_ERR';
+  return err;
+}
+
+/** Unwrap a union value, if it is wrapped. */
+function unwrap(val) {
+  return val && typeof val.unwrap == 'function' ? val.unwrap() : val;
+}
+
+
 module.exports = {
-  LOGICAL_TYPES: {
-    'timestamp-ms': DateType
-  },
-  TYPE_REFS,
+  iterateMessage,
+  principalIdentity,
   promisify,
   promisifyAll
 };
@@ -0,0 +1,264 @@
+/* jshint esversion: 6, mocha: true, node: true */
+
+'use strict';
+
+const caching = require('../lib/caching');
+
+const assert = require('assert');
+const avro = require('avsc');
+
+
+suite('caching', function () {
+
+  const svc = avro.Service.forProtocol({
+    protocol: 'Math',
+    messages: {
+      neg: {request: [{name: 'n', type: 'int'}], response: 'int'},
+      abs: {request: [{name: 'n', type: 'int'}], response: 'int'}
+    }
+  });
+
+  suite('client', function () {
+
+    test('cache hit', function (done) {
+      const calls = [];
+      const client = createClient(calls, {messages: ['neg']});
+      client.neg(1, function (err, n) {
+        assert.ifError(err);
+        assert.equal(n, -1);
+        client.neg(1, function (err, n) {
+          assert.ifError(err);
+          assert.equal(n, -1);
+          client.neg(2, function (err, n) {
+            assert.ifError(err);
+            assert.equal(n, -2);
+            assert.deepEqual(calls, [1, 2]);
+            done();
+          });
+        });
+      });
+    });
+
+    test('messages not opted in', function (done) {
+      const calls = [];
+      const client = createClient(calls, {messages: ['neg']});
+      client.abs(-1, function (err) {
+        assert.ifError(err);
+        client.abs(-1, function (err, n) {
+          assert.ifError(err);
+          assert.equal(n, 1);
+          assert.deepEqual(calls, [-1, -1]);
+          done();
+        });
+      });
+    });
+
+    test('expired entry', function (done) {
+      const calls = [];
+      const client = createClient(calls, {messages: {neg: {ttl: 5}}});
+      client.neg(1, function (err) {
+        assert.ifError(err);
+        setTimeout(function () {
+          client.neg(1, function (err) {
+            assert.ifError(err);
+            assert.deepEqual(calls, [1, 1]);
+            done();
+          });
+        }, 10);
+      });
+    });
+
+    test('least recently used eviction', function (done) {
+      const calls = [];
+      const client = createClient(calls, {messages: ['neg'], maxSize: 1});
+      client.neg(1, function (err) {
+        assert.ifError(err);
+        client.neg(2, function (err) {
+          assert.ifError(err);
+          client.neg(2, function (err) {
+            assert.ifError(err);
+            client.neg(1, function (err) {
+              assert.ifError(err);
+              assert.deepEqual(calls, [1, 2, 1]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    test('errors are not cached', function (done) {
+      let attempts = 0;
+      const server = svc.createServer({silent: true})
+        .onNeg(function (n, cb) {
+          if (++attempts < 2) {
+            cb(new Error('bar'));
+            return;
+          }
+          cb(null, -n);
+        });
+      const client = svc.createClient({buffering: true, server})
+        .use(caching.clientCaching({messages: ['neg']}));
+      client.neg(1, function (err) {
+        assert(/bar/.test(err), err);
+        client.neg(1, function (err, n) {
+          assert.ifError(err);
+          assert.equal(n, -1);
+          assert.equal(attempts, 2);
+          done();
+        });
+      });
+    });
+
+    test('server prevents caching', function (done) {
+      let attempts = 0;
+      const server = svc.createServer()
+        .use(caching.serverCaching())
+        .onNeg(function (n, cb) {
+          attempts++;
+          caching.setCacheControl(this, 'no-store');
+          cb(null, -n);
+        });
+      const client = svc.createClient({buffering: true, server})
+        .use(caching.clientCaching({messages: ['neg']}));
+      client.neg(1, function (err) {
+        assert.ifError(err);
+        client.neg(1, function (err) {
+          assert.ifError(err);
+          assert.equal(attempts, 2);
+          done();
+        });
+      });
+    });
+
+    test('server max age', function (done) {
+      let attempts = 0;
+      const server = svc.createServer()
+        .use(caching.serverCaching())
+        .onNeg(function (n, cb) {
+          attempts++;
+          caching.setCacheControl(this, 'max-age=60');
+          cb(null, -n);
+        });
+      const client = svc.createClient({buffering: true, server})
+        .use(caching.clientCaching({messages: {neg: {ttl: 1}}}));
+      client.neg(1, function (err) {
+        assert.ifError(err);
+        setTimeout(function () {
+          client.neg(1, function (err) {
+            assert.ifError(err);
+            assert.equal(attempts, 1);
+            done();
+          });
+        }, 5);
+      });
+    });
+
+    test('invalid request', function (done) {
+      const calls = [];
+      const client = createClient(calls, {messages: ['neg']});
+      client.neg('a', function (err) {
+        assert(/invalid "neg" request/.test(err), err);
+        assert.deepEqual(calls, []);
+        done();
+      });
+    });
+
+    function createClient(calls, opts) {
+      const server = svc.createServer()
+        .onNeg(function (n, cb) { calls.push(n); cb(null, -n); })
+        .onAbs(function (n, cb) { calls.push(n); cb(null, Math.abs(n)); });
+      return svc.createClient({buffering: true, server})
+        .use(caching.clientCaching(opts));
+    }
+  });
+
+  suite('server', function () {
+
+    test('cache hit', function (done) {
+      const calls = [];
+      const server = svc.createServer()
+        .use(caching.serverCaching({messages: ['neg'], ttl: 30000}))
+        .onNeg(function (n, cb) { calls.push(n); cb(null, -n); });
+      const directives = [];
+      const client = svc.createClient({buffering: true, server})
+        .use(function (wreq, wres, next) {
+          next(null, function (err, prev) {
+            directives.push('' + wres.headers.cacheControl);
+            prev(err);
+          });
+        });
+      client.neg(1, function (err, n) {
+        assert.ifError(err);
+        assert.equal(n, -1);
+        client.neg(1, function (err, n) {
+          assert.ifError(err);
+          assert.equal(n, -1);
+          assert.deepEqual(calls, [1]);
+          assert.equal(directives[0], 'max-age=30');
+          assert(/^max-age=(29|30)$/.test(directives[1]), directives[1]);
+          done();
+        });
+      });
+    });
+
+    test('cache per caller', function (done) {
+      const calls = [];
+      const server = svc.createServer()
+        .use(
+          function (wreq, wres, next) {
+            this.locals.principal = wreq.headers.user.toString();
+            this.locals.scope = 'math';
+            next();
+          },
+          caching.serverCaching({messages: ['neg']})
+        )
+        .onNeg(function (n, cb) {
+          calls.push(this.locals.principal);
+          cb(null, -n);
+        });
+      const client = svc.createClient({buffering: true, server})
+        .use(function (wreq, wres, next) {
+          wreq.headers.user = Buffer.from(this.locals.user);
+          next();
+        });
+      client.on('channel', function (channel) {
+        channel.on('outgoingCall', function (ctx, opts) {
+          ctx.locals.user = opts.user;
+        });
+      });
+      client.neg(1, {user: 'ann'}, function (err) {
+        assert.ifError(err);
+        client.neg(1, {user: 'bob'}, function (err) {
+          assert.ifError(err);
+          client.neg(1, {user: 'ann'}, function (err, n) {
+            assert.ifError(err);
+            assert.equal(n, -1);
+            assert.deepEqual(calls, ['ann', 'bob']);
+            done();
+          });
+        });
+      });
+    });
+
+    test('handler prevents caching', function (done) {
+      const calls = [];
+      const server = svc.createServer()
+        .use(caching.serverCaching({messages: ['neg']}))
+        .onNeg(function (n, cb) {
+          calls.push(n);
+          caching.setCacheControl(this, 'no-store');
+          cb(null, -n);
+        });
+      const client = svc.createClient({buffering: true, server});
+      client.neg(1, function (err) {
+        assert.ifError(err);
+        client.neg(1, function (err) {
+          assert.ifError(err);
+          assert.deepEqual(calls, [1, 1]);
+          done();
+        });
+      });
+    });
+  });
+});
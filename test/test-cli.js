@@ -0,0 +1,136 @@
+/* jshint esversion: 6, mocha: true, node: true */
+
+'use strict';
+
+const cli = require('../lib/cli');
+const proxy = require('../lib/proxy');
+
+const assert = require('assert');
+const avro = require('avsc');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+
+
+suite('cli', function () {
+
+  const ptcl = {
+    protocol: 'Math',
+    messages: {
+      neg: {request: [{name: 'n', type: 'int'}], response: 'int'}
+    }
+  };
+  const svc = avro.Service.forProtocol(ptcl);
+
+  let dpath, fpath;
+
+  suiteSetup(function () {
+    dpath = fs.mkdtempSync(path.join(os.tmpdir(), 'verdon-'));
+    fpath = path.join(dpath, 'math.avpr');
+    fs.writeFileSync(fpath, JSON.stringify(ptcl));
+  });
+
+  suiteTeardown(function () {
+    fs.unlinkSync(fpath);
+    fs.rmdirSync(dpath);
+  });
+
+  test('info', function (done) {
+    const out = createOutput();
+    cli.main(['info', fpath], {stdout: out}, function (err) {
+      assert.ifError(err);
+      assert(/int neg\(int n\)/.test(out.read()));
+      done();
+    });
+  });
+
+  test('info json', function (done) {
+    const out = createOutput();
+    cli.main(['info', '--json', fpath], {stdout: out}, function (err) {
+      assert.ifError(err);
+      assert.deepEqual(JSON.parse(out.read()), ptcl);
+      done();
+    });
+  });
+
+  test('call connect', function (done) {
+    const server = svc.createServer()
+      .onNeg(function (n, cb) { cb(null, -n); });
+    const p = proxy.createProxy().bindServer(server, {scope: 'math'});
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        const out = createOutput();
+        const argv = [
+          'call', '-s', 'math', fpath, 'http://localhost:8080/math', 'neg',
+          '{"n":3}'
+        ];
+        cli.main(argv, {stdout: out}, function (err) {
+          assert.ifError(err);
+          assert.equal(out.read().toString(), '-3\n');
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('call post', function (done) {
+    const server = svc.createServer()
+      .onNeg(function (n, cb) { cb(null, -n); });
+    const p = proxy.createProxy().bindServer(server);
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        const out = createOutput();
+        const argv = [
+          'call', '--post', fpath, 'http://localhost:8080', 'neg', '{"n":5}'
+        ];
+        cli.main(argv, {stdout: out}, function (err) {
+          assert.ifError(err);
+          assert.equal(out.read().toString(), '-5\n');
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('serve', function (done) {
+    const argv = ['serve', '-p', '8080', fpath];
+    cli.main(argv, {stderr: createOutput()}, function (err, httpServer) {
+      assert.ifError(err);
+      const out = createOutput();
+      const argv = [
+        'call', '--post', fpath, 'http://localhost:8080', 'neg', '{"n":1}'
+      ];
+      cli.main(argv, {stdout: out}, function (err) {
+        assert.ifError(err);
+        assert(!isNaN(JSON.parse(out.read())));
+        httpServer.on('close', function () { done(); }).close();
+      });
+    });
+  });
+
+  test('unknown command', function (done) {
+    cli.main(['foo'], function (err) {
+      assert(/unknown command/.test(err), err);
+      done();
+    });
+  });
+
+  test('invalid option', function (done) {
+    cli.main(['info', '--bar'], function (err) {
+      assert(/unknown option/.test(err), err);
+      done();
+    });
+  });
+
+  function createOutput() {
+    return new stream.PassThrough();
+  }
+});
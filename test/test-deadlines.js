@@ -0,0 +1,182 @@
+/* jshint esversion: 6, mocha: true, node: true */
+
+'use strict';
+
+const deadlines = require('../lib/deadlines');
+
+const assert = require('assert');
+const avro = require('avsc');
+
+
+suite('deadlines', function () {
+
+  const svc = avro.Service.forProtocol({
+    protocol: 'Math',
+    messages: {
+      neg: {request: [{name: 'n', type: 'int'}], response: 'int'}
+    }
+  });
+
+  test('create deadline', function () {
+    const deadline = deadlines.createDeadline(100);
+    assert(!deadline.isExpired());
+    assert(deadline.remaining() > 50 && deadline.remaining() <= 100);
+    const expired = deadlines.createDeadline(-10);
+    assert(expired.isExpired());
+    assert.equal(expired.remaining(), 0);
+  });
+
+  test('propagate deadline', function (done) {
+    const server = createServer()
+      .onNeg(function (n, cb) {
+        const remaining = this.locals.deadline.remaining();
+        assert(remaining > 0 && remaining <= 200, remaining);
+        cb(null, -n);
+      });
+    const deadline = deadlines.createDeadline(200);
+    createClient(server).neg(1, {deadline}, function (err, n) {
+      assert.ifError(err);
+      assert.equal(n, -1);
+      done();
+    });
+  });
+
+  test('propagate deadline downstream', function (done) {
+    let downstreamDeadline;
+    const downstreamClient = createClient(createServer()
+      .onNeg(function (n, cb) {
+        downstreamDeadline = this.locals.deadline;
+        cb(null, -n);
+      }));
+    const server = createServer()
+      .onNeg(function (n, cb) {
+        downstreamClient.neg(n, {locals: this.locals}, cb);
+      });
+    const deadline = deadlines.createDeadline(200);
+    createClient(server).neg(1, {deadline}, function (err, n) {
+      assert.ifError(err);
+      assert.equal(n, -1);
+      // Hops don't deduct time in transit, which is negligible here.
+      assert(downstreamDeadline.date - deadline.date <= 10);
+      done();
+    });
+  });
+
+  test('default timeout', function (done) {
+    const server = createServer()
+      .onNeg(function (n, cb) {
+        assert(this.locals.deadline.remaining() <= 50);
+        cb(null, -n);
+      });
+    const client = svc.createClient({buffering: true, server})
+      .use(deadlines.clientDeadlines({defaultTimeout: 50}));
+    client.neg(1, function (err) {
+      assert.ifError(err);
+      done();
+    });
+  });
+
+  test('no deadline', function (done) {
+    const server = createServer()
+      .onNeg(function (n, cb) {
+        assert.strictEqual(this.locals.deadline, undefined);
+        cb(null, -n);
+      });
+    createClient(server).neg(1, function (err) {
+      assert.ifError(err);
+      done();
+    });
+  });
+
+  test('client fail fast', function (done) {
+    let handled = false;
+    const server = createServer()
+      .onNeg(function (n, cb) { handled = true; cb(null, -n); });
+    const deadline = deadlines.createDeadline(-1);
+    createClient(server).neg(1, {deadline}, function (err) {
+      assert(/deadline exceeded/.test(err), err);
+      assert.equal(err.code, 'DEADLINE_EXCEEDED');
+      assert(!handled);
+      done();
+    });
+  });
+
+  test('client timeout shortened', function (done) {
+    const server = createServer()
+      .onNeg(function () {}); // Never responds.
+    const deadline = deadlines.createDeadline(20);
+    const start = Date.now();
+    createClient(server).neg(1, {deadline}, function (err) {
+      assert(/timeout/.test(err), err);
+      assert(Date.now() - start < 1000);
+      done();
+    });
+  });
+
+  test('server fail fast', function (done) {
+    let handled = false;
+    const server = svc.createServer({silent: true})
+      .use(function (wreq, wres, next) {
+        // Simulate a call which waited too long before being handled.
+        setTimeout(next, 20);
+      })
+      .use(deadlines.serverDeadlines())
+      .onNeg(function (n, cb) { handled = true; cb(null, -n); });
+    const client = svc.createClient({buffering: true, server})
+      .use(function (wreq, wres, next) {
+        wreq.headers.deadline = avro.Type.forSchema('long').toBuffer(0);
+        next();
+      });
+    client.neg(1, function (err) {
+      assert(/deadline exceeded/.test(err), err);
+      assert(!handled);
+      done();
+    });
+  });
+
+  test('server max timeout', function (done) {
+    const server = svc.createServer()
+      .use(deadlines.serverDeadlines({maxTimeout: 50}))
+      .onNeg(function (n, cb) {
+        assert(this.locals.deadline.remaining() <= 50);
+        cb(null, -n);
+      });
+    const deadline = deadlines.createDeadline(1000);
+    createClient(server).neg(1, {deadline}, function (err) {
+      assert.ifError(err);
+      done();
+    });
+  });
+
+  test('server ignores client clock', function (done) {
+    const longType = avro.Type.forSchema('long');
+    const server = createServer()
+      .onNeg(function (n, cb) {
+        const remaining = this.locals.deadline.remaining();
+        assert(remaining > 50 && remaining <= 100, remaining);
+        cb(null, -n);
+      });
+    const client = createClient(server)
+      .use(function (wreq, wres, next) {
+        // Send time from a client whose clock is a minute behind the server's,
+        // as sent by earlier versions. Only the relative budget is used.
+        wreq.headers.deadlineSentAt = longType.toBuffer(Date.now() - 60000);
+        next();
+      });
+    const deadline = deadlines.createDeadline(100);
+    client.neg(1, {deadline}, function (err) {
+      assert.ifError(err);
+      done();
+    });
+  });
+
+  function createClient(server) {
+    return svc.createClient({buffering: true, server})
+      .use(deadlines.clientDeadlines());
+  }
+
+  function createServer() {
+    return svc.createServer({silent: true})
+      .use(deadlines.serverDeadlines());
+  }
+});
@@ -0,0 +1,225 @@
+/* jshint esversion: 6, mocha: true, node: true */
+
+'use strict';
+
+const errors = require('../lib/errors');
+const limits = require('../lib/limits');
+const utils = require('../lib/utils');
+
+const assert = require('assert');
+const avro = require('avsc');
+
+
+suite('errors', function () {
+
+  const {SystemError} = errors;
+
+  suite('SystemError', function () {
+
+    test('status codes', function () {
+      const err = new SystemError('UNAVAILABLE', 'no backends');
+      assert(err instanceof Error);
+      assert.equal(err.name, 'SystemError');
+      assert.equal(err.code, 'UNAVAILABLE');
+      assert.equal(err.message, 'no backends');
+      assert.equal(err.statusCode, 503);
+      assert.equal(new SystemError('FOO', 'bar').statusCode, 500);
+      const opts = {statusCode: 409};
+      assert.equal(new SystemError('FOO', 'bar', opts).statusCode, 409);
+    });
+
+    test('from json http response', function () {
+      const body = JSON.stringify({
+        code: 'INVALID_REQUEST',
+        message: 'invalid "int": "a"',
+        path: 'n'
+      });
+      const err = SystemError.fromHttp(400, body, 'application/json');
+      assert.equal(err.code, 'INVALID_REQUEST');
+      assert.equal(err.message, 'invalid "int": "a"');
+      assert.equal(err.path, 'n');
+      assert.equal(err.statusCode, 400);
+    });
+
+    test('from text http response', function () {
+      const err = SystemError.fromHttp(404, 'invalid scope: foo', 'text/plain');
+      assert.equal(err.code, 'NOT_FOUND');
+      assert.equal(err.message, 'invalid scope: foo');
+      assert.equal(SystemError.fromHttp(418, 'teapot').code, 'UNKNOWN');
+    });
+  });
+
+  suite('system errors', function () {
+
+    test('string round-trip', function (done) {
+      const svc = createService();
+      const server = utils.promisify(svc.createServer({silent: true}))
+        .onGet(function () {
+          throw new SystemError('UNAVAILABLE', 'no backends');
+        });
+      const client = utils.promisify(
+        svc.createClient({buffering: true, server}));
+      client.get('a').catch(function (err) {
+        assert(err instanceof SystemError, err);
+        assert.equal(err.code, 'UNAVAILABLE');
+        assert.equal(err.message, 'no backends');
+        assert.equal(err.statusCode, 503);
+        done();
+      });
+    });
+
+    test('structured round-trip', function (done) {
+      const svc = createService({
+        types: [errors.SYSTEM_ERROR_SCHEMA],
+        errors: ['verdon.SystemError']
+      }, {wrapUnions: true});
+      const server = utils.promisify(svc.createServer({silent: true}))
+        .onGet(function () {
+          throw new SystemError('DEADLINE_EXCEEDED', 'too slow');
+        });
+      let wireError;
+      const client = svc.createClient({buffering: true, server})
+        .use(function (wreq, wres, next) {
+          next(null, function (err, prev) {
+            wireError = wres.error;
+            prev(err);
+          });
+        });
+      utils.promisify(client);
+      client.get('a').catch(function (err) {
+        const rec = wireError['verdon.SystemError'];
+        assert.deepEqual(rec, {code: 'DEADLINE_EXCEEDED', message: 'too slow'});
+        assert(err instanceof SystemError, err);
+        assert.equal(err.code, 'DEADLINE_EXCEEDED');
+        done();
+      });
+    });
+
+    test('middleware rejection', function (done) {
+      const svc = createService();
+      const server = svc.createServer({silent: true})
+        .use(limits.serverConcurrencyLimit({maxConcurrent: 1}))
+        .onGet(function (key, cb) { setTimeout(cb, 5, null, key); });
+      const client = utils.promisify(
+        svc.createClient({buffering: true, server}));
+      client.get('a');
+      client.get('b').catch(function (err) {
+        assert(err instanceof SystemError, err);
+        assert.equal(err.code, 'TOO_MANY_CALLS');
+        done();
+      });
+    });
+
+    test('other errors unchanged', function (done) {
+      const svc = createService();
+      const server = utils.promisify(svc.createServer({silent: true}))
+        .onGet(function () { throw new Error('FOO: bar'); });
+      const client = utils.promisify(
+        svc.createClient({buffering: true, server}));
+      client.get('a').catch(function (err) {
+        assert(!(err instanceof SystemError), err);
+        assert.equal(err.message, 'FOO: bar');
+        done();
+      });
+    });
+  });
+
+  suite('registry', function () {
+
+    class MissingKeyError extends Error {
+      constructor(message) {
+        super(message);
+        this.name = 'MissingKeyError';
+      }
+    }
+
+    const missingKeySchema = {
+      type: 'error',
+      name: 'MissingKey',
+      fields: [
+        {name: 'message', type: 'string'},
+        {name: 'key', type: 'string'}
+      ]
+    };
+
+    test('unwrapped union round-trip', function (done) {
+      const svc = createService({errors: [missingKeySchema]});
+      testRoundTrip(svc, done);
+    });
+
+    test('wrapped union round-trip', function (done) {
+      const svc = createService({errors: [missingKeySchema]}, {
+        wrapUnions: true
+      });
+      testRoundTrip(svc, done);
+    });
+
+    test('custom conversions', function (done) {
+      const svc = createService({errors: [missingKeySchema]});
+      const registry = errors.createErrorRegistry()
+        .register(MissingKeyError, 'MissingKey', {
+          toRecord: (err) => ({message: 'missing', key: err.message}),
+          fromRecord: (rec) => new MissingKeyError(`no ${rec.key}`)
+        });
+      const opts = {errors: registry};
+      const server = utils.promisify(svc.createServer({silent: true}), opts)
+        .onGet(function (key) { throw new MissingKeyError(key); });
+      const client = utils.promisify(
+        svc.createClient({buffering: true, server}), opts);
+      client.get('a').catch(MissingKeyError, function (err) {
+        assert.equal(err.message, 'no a');
+        done();
+      });
+    });
+
+    test('undeclared error type', function (done) {
+      const svc = createService();
+      const registry = errors.createErrorRegistry()
+        .register(MissingKeyError, 'MissingKey');
+      const opts = {errors: registry};
+      const server = utils.promisify(svc.createServer({silent: true}), opts)
+        .onGet(function (key) { throw new MissingKeyError(key); });
+      const client = utils.promisify(
+        svc.createClient({buffering: true, server}), opts);
+      client.get('a').catch(function (err) {
+        assert(!(err instanceof MissingKeyError), err);
+        assert.equal(err.message, 'a');
+        done();
+      });
+    });
+
+    function testRoundTrip(svc, done) {
+      const registry = errors.createErrorRegistry()
+        .register(MissingKeyError, 'MissingKey');
+      const opts = {errors: registry};
+      const server = utils.promisify(svc.createServer({silent: true}), opts)
+        .onGet(function (key) {
+          const err = new MissingKeyError('missing key');
+          err.key = key;
+          throw err;
+        });
+      const client = utils.promisify(
+        svc.createClient({buffering: true, server}), opts);
+      client.get('a').catch(MissingKeyError, function (err) {
+        assert.equal(err.message, 'missing key');
+        assert.equal(err.key, 'a');
+        done();
+      });
+    }
+  });
+
+  function createService(opts, typeOpts) {
+    opts = opts || {};
+    return avro.Service.forProtocol({
+      protocol: 'Store',
+      types: opts.types,
+      messages: {
+        get: {
+          request: [{name: 'key', type: 'string'}],
+          response: 'string',
+          errors: opts.errors
+        }
+      }
+    }, typeOpts);
+  }
+});
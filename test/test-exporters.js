@@ -0,0 +1,248 @@
+/* jshint esversion: 6, mocha: true, node: true */
+
+'use strict';
+
+const exporters = require('../lib/exporters');
+const tracing = require('../lib/tracing');
+
+const assert = require('assert');
+const avro = require('avsc');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+
+suite('exporters', function () {
+
+  let trace;
+
+  setup(function () {
+    trace = tracing.createTrace();
+    trace.calls.push({
+      name: 'neg',
+      state: 'SUCCESS',
+      requestTime: new Date(1000),
+      responseTime: new Date(1005),
+      downstreamCalls: [{
+        name: 'abs',
+        state: 'ERROR',
+        requestTime: new Date(1001),
+        responseTime: new Date(1003),
+        downstreamCalls: []
+      }]
+    });
+  });
+
+  teardown(function () {
+    trace = undefined;
+  });
+
+  test('zipkin', function (done) {
+    const sink = exporters.createMemorySink();
+    const exporter = exporters.createExporter(sink, {serviceName: 'math'});
+    exporter.export(trace).flush(function (err) {
+      assert.ifError(err);
+      assert.equal(sink.payloads.length, 1);
+      const spans = sink.payloads[0];
+      assert.equal(spans.length, 2);
+      const traceId = trace.uuid.toString('hex');
+      assert.deepEqual(spans[0], {
+        traceId,
+        id: spans[0].id,
+        name: 'neg',
+        kind: 'CLIENT',
+        timestamp: 1000000,
+        duration: 5000,
+        localEndpoint: {serviceName: 'math'},
+        tags: {'verdon.state': 'SUCCESS'}
+      });
+      assert.equal(spans[1].traceId, traceId);
+      assert.equal(spans[1].parentId, spans[0].id);
+      assert.equal(spans[1].tags.error, 'true');
+      done();
+    });
+  });
+
+  test('otlp', function (done) {
+    const sink = exporters.createMemorySink();
+    const exporter = exporters.createExporter(sink, {format: 'otlp'});
+    exporter.export(trace).flush(function (err) {
+      assert.ifError(err);
+      const resourceSpans = sink.payloads[0].resourceSpans;
+      assert.deepEqual(resourceSpans[0].resource.attributes, [
+        {key: 'service.name', value: {stringValue: 'verdon'}}
+      ]);
+      const spans = resourceSpans[0].scopeSpans[0].spans;
+      assert.equal(spans.length, 2);
+      assert.equal(spans[0].traceId, trace.uuid.toString('hex'));
+      assert.equal(spans[0].startTimeUnixNano, '1000000000');
+      assert.equal(spans[0].endTimeUnixNano, '1005000000');
+      assert.equal(spans[0].status.code, 1);
+      assert.equal(spans[1].parentSpanId, spans[0].spanId);
+      assert.equal(spans[1].status.code, 2);
+      done();
+    });
+  });
+
+  test('span data', function (done) {
+    const call = trace.calls[0].downstreamCalls[0];
+    call.spanId = Buffer.from('0123456789abcdef', 'hex');
+    call.protocol = 'Math';
+    call.scope = 'math';
+    call.error = 'boom';
+    call.tags = {cache: 'miss'};
+    call.events = [{name: 'retry', time: new Date(1002), tags: {}}];
+    const sink = exporters.createMemorySink();
+    const exporter = exporters.createExporter(sink);
+    exporter.export(trace).flush(function (err) {
+      assert.ifError(err);
+      const span = sink.payloads[0][1];
+      assert.equal(span.id, '0123456789abcdef');
+      assert.deepEqual(span.remoteEndpoint, {serviceName: 'Math'});
+      assert.deepEqual(span.tags, {
+        'verdon.state': 'ERROR',
+        'verdon.protocol': 'Math',
+        'verdon.scope': 'math',
+        cache: 'miss',
+        error: 'boom'
+      });
+      assert.deepEqual(span.annotations, [
+        {timestamp: 1002000, value: 'retry'}
+      ]);
+      done();
+    });
+  });
+
+  test('parent span', function (done) {
+    trace.parentSpanId = Buffer.from('b7ad6b7169203331', 'hex');
+    const sink = exporters.createMemorySink();
+    const exporter = exporters.createExporter(sink);
+    exporter.export(trace).flush(function (err) {
+      assert.ifError(err);
+      const spans = sink.payloads[0];
+      assert.equal(spans[0].parentId, 'b7ad6b7169203331');
+      assert.equal(spans[1].parentId, spans[0].id);
+      done();
+    });
+  });
+
+  test('unknown format', function () {
+    const sink = exporters.createMemorySink();
+    assert.throws(function () {
+      exporters.createExporter(sink, {format: 'foo'});
+    }, /unknown format/);
+  });
+
+  test('batching', function (done) {
+    const sink = exporters.createMemorySink();
+    const exporter = exporters.createExporter(sink, {
+      batchSize: 3,
+      flushInterval: 10
+    });
+    exporter.export(trace).export(trace);
+    assert.equal(sink.payloads.length, 1); // Flushed synchronously.
+    assert.equal(sink.payloads[0].length, 4);
+    exporter.export({uuid: trace.uuid, calls: [trace.calls[0]]});
+    setTimeout(function () {
+      // Flushed after the interval.
+      assert.equal(sink.payloads.length, 2);
+      assert.equal(sink.payloads[1].length, 2);
+      done();
+    }, 30);
+  });
+
+  test('timer flush failure without listener', function (done) {
+    let writes = 0;
+    const sink = {
+      write: function (payload, cb) {
+        writes++;
+        cb(new Error('unreachable'));
+      }
+    };
+    exporters.createExporter(sink, {flushInterval: 1}).export(trace);
+    setTimeout(function () {
+      // The batch was dropped rather than crashing the process.
+      assert.equal(writes, 1);
+      done();
+    }, 20);
+  });
+
+  test('file sink', function (done) {
+    const dpath = fs.mkdtempSync(path.join(os.tmpdir(), 'verdon-'));
+    const fpath = path.join(dpath, 'spans.jsonl');
+    const exporter = exporters.createExporter(exporters.createFileSink(fpath));
+    exporter.export(trace).flush(function (err) {
+      assert.ifError(err);
+      exporter.export(trace).flush(function (err) {
+        assert.ifError(err);
+        const lines = fs.readFileSync(fpath, 'utf8').trim().split('\n');
+        assert.equal(lines.length, 2);
+        assert.equal(JSON.parse(lines[0]).length, 2);
+        fs.unlinkSync(fpath);
+        fs.rmdirSync(dpath);
+        done();
+      });
+    });
+  });
+
+  test('http sink', function (done) {
+    const bodies = [];
+    const httpServer = http.createServer()
+      .on('request', function (req, res) {
+        const bufs = [];
+        req
+          .on('data', function (buf) { bufs.push(buf); })
+          .on('end', function () {
+            bodies.push(JSON.parse(Buffer.concat(bufs)));
+            res.writeHead(req.url === '/api/v2/spans' ? 202 : 404);
+            res.end();
+          });
+      })
+      .on('listening', function () {
+        const sink = exporters.createHttpSink(
+          'http://localhost:8080/api/v2/spans');
+        const exporter = exporters.createExporter(sink);
+        exporter.export(trace).flush(function (err) {
+          assert.ifError(err);
+          assert.equal(bodies.length, 1);
+          assert.equal(bodies[0][0].name, 'neg');
+          const badSink = exporters.createHttpSink('http://localhost:8080');
+          exporters.createExporter(badSink)
+            .on('error', function (err) {
+              assert(/export failed: 404/.test(err), err);
+              httpServer.close();
+            })
+            .export(trace)
+            .flush();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('client tracing', function (done) {
+    const svc = avro.Service.forProtocol({
+      protocol: 'Math',
+      messages: {
+        neg: {request: [{name: 'n', type: 'int'}], response: 'int'}
+      }
+    });
+    const server = svc.createServer()
+      .use(tracing.serverTracing())
+      .onNeg(function (n, cb) { cb(null, -n); });
+    const sink = exporters.createMemorySink();
+    const exporter = exporters.createExporter(sink, {batchSize: 1});
+    const client = svc.createClient({buffering: true, server})
+      .use(tracing.clientTracing({exporter, createMissingOutgoing: true}));
+    client.neg(1, function (err) {
+      assert.ifError(err);
+      assert.equal(sink.payloads.length, 1);
+      const span = sink.payloads[0][0];
+      assert(/^[0-9a-f]{32}$/.test(span.traceId), span.traceId);
+      assert.equal(span.name, 'neg');
+      assert.equal(span.tags['verdon.state'], 'SUCCESS');
+      done();
+    });
+  });
+});
@@ -0,0 +1,281 @@
+/* jshint esversion: 6, mocha: true, node: true */
+
+'use strict';
+
+const limits = require('../lib/limits');
+
+const assert = require('assert');
+const avro = require('avsc');
+
+
+suite('limits', function () {
+
+  const svc = avro.Service.forProtocol({
+    protocol: 'Math',
+    messages: {
+      neg: {request: [{name: 'n', type: 'int'}], response: 'int'},
+      abs: {request: [{name: 'n', type: 'int'}], response: 'int'}
+    }
+  });
+
+  suite('rate limit', function () {
+
+    test('reject after burst', function (done) {
+      const server = svc.createServer({silent: true})
+        .use(limits.serverRateLimit({rate: 10, burst: 2}))
+        .onNeg(function (n, cb) { cb(null, -n); })
+        .onAbs(function (n, cb) { cb(null, Math.abs(n)); });
+      let retryAfter;
+      const client = svc.createClient({buffering: true, server})
+        .use(function (wreq, wres, next) {
+          next(null, function (err, prev) {
+            const buf = wres.headers.retryAfter;
+            retryAfter = buf && avro.Type.forSchema('long').fromBuffer(buf);
+            prev(err);
+          });
+        });
+      client.neg(1, function (err) {
+        assert.ifError(err);
+        client.neg(2, function (err) {
+          assert.ifError(err);
+          client.neg(3, function (err) {
+            assert(/RATE_LIMITED: rate limit exceeded/.test(err), err);
+            assert(retryAfter > 0 && retryAfter <= 100, retryAfter);
+            const delay = retryAfter + 5;
+            // Other messages have their own bucket.
+            client.abs(-4, function (err, n) {
+              assert.ifError(err);
+              assert.equal(n, 4);
+              setTimeout(function () {
+                client.neg(5, function (err) {
+                  assert.ifError(err);
+                  done();
+                });
+              }, delay);
+            });
+          });
+        });
+      });
+    });
+
+    test('per caller identity', function (done) {
+      const server = svc.createServer({silent: true})
+        .use(function (wreq, wres, next) {
+          this.locals.principal = wreq.request.n > 0 ? 'ann' : 'bob';
+          next();
+        })
+        .use(limits.serverRateLimit({rate: 1}))
+        .onNeg(function (n, cb) { cb(null, -n); });
+      const client = svc.createClient({buffering: true, server});
+      client.neg(1, function (err) {
+        assert.ifError(err);
+        client.neg(-1, function (err) {
+          assert.ifError(err);
+          client.neg(2, function (err) {
+            assert(/RATE_LIMITED/.test(err), err);
+            done();
+          });
+        });
+      });
+    });
+
+    test('object principal identity', function (done) {
+      // Circular, and identical once serialized (ignoring the cycle).
+      const ann = {};
+      ann.self = ann;
+      const bob = {};
+      bob.self = bob;
+      const server = svc.createServer({silent: true})
+        .use(function (wreq, wres, next) {
+          this.locals.principal = wreq.request.n > 0 ? ann : bob;
+          next();
+        })
+        .use(limits.serverRateLimit({rate: 1}))
+        .onNeg(function (n, cb) { cb(null, -n); });
+      const client = svc.createClient({buffering: true, server});
+      client.neg(1, function (err) {
+        assert.ifError(err);
+        client.neg(-1, function (err) {
+          assert.ifError(err);
+          client.neg(2, function (err) {
+            assert(/RATE_LIMITED/.test(err), err);
+            done();
+          });
+        });
+      });
+    });
+
+    test('message overrides', function (done) {
+      const server = svc.createServer({silent: true})
+        .use(limits.serverRateLimit({rate: 10, messages: {abs: {rate: 1}}}))
+        .onNeg(function (n, cb) { cb(null, -n); })
+        .onAbs(function (n, cb) { cb(null, Math.abs(n)); });
+      const client = svc.createClient({buffering: true, server});
+      client.abs(1, function (err) {
+        assert.ifError(err);
+        client.abs(1, function (err) {
+          assert(/RATE_LIMITED/.test(err), err);
+          client.neg(1, function (err) {
+            assert.ifError(err);
+            done();
+          });
+        });
+      });
+    });
+
+    test('shared bucket and custom identity', function (done) {
+      const server = svc.createServer({silent: true})
+        .use(limits.serverRateLimit({
+          rate: 1,
+          perMessage: false,
+          identity: function (ctx, wreq) { return '' + wreq.headers.id; }
+        }))
+        .onNeg(function (n, cb) { cb(null, -n); })
+        .onAbs(function (n, cb) { cb(null, Math.abs(n)); });
+      let id = 'a';
+      const client = svc.createClient({buffering: true, server})
+        .use(function (wreq, wres, next) {
+          wreq.headers.id = Buffer.from(id);
+          next();
+        });
+      client.neg(1, function (err) {
+        assert.ifError(err);
+        client.abs(1, function (err) {
+          assert(/RATE_LIMITED/.test(err), err);
+          id = 'b';
+          client.abs(1, function (err) {
+            assert.ifError(err);
+            done();
+          });
+        });
+      });
+    });
+
+    test('structured error', function (done) {
+      const limitedSvc = avro.Service.forProtocol({
+        protocol: 'Math',
+        types: [limits.LIMIT_EXCEEDED_SCHEMA],
+        messages: {
+          neg: {
+            request: [{name: 'n', type: 'int'}],
+            response: 'int',
+            errors: ['verdon.LimitExceeded']
+          }
+        }
+      });
+      const server = limitedSvc.createServer({silent: true})
+        .use(limits.serverRateLimit({rate: 1}))
+        .onNeg(function (n, cb) { cb(null, -n); });
+      const client = limitedSvc.createClient({buffering: true, server});
+      client.neg(1, function (err) {
+        assert.ifError(err);
+        client.neg(1, function (err) {
+          assert.equal(err.code, 'RATE_LIMITED');
+          assert.equal(err.message, 'rate limit exceeded');
+          assert(err.retryAfter > 0 && err.retryAfter <= 1000);
+          done();
+        });
+      });
+    });
+
+    test('structured error wrapped union', function (done) {
+      const limitedSvc = avro.Service.forProtocol({
+        protocol: 'Math',
+        types: [limits.LIMIT_EXCEEDED_SCHEMA],
+        messages: {
+          neg: {
+            request: [{name: 'n', type: 'int'}],
+            response: 'int',
+            errors: ['verdon.LimitExceeded']
+          }
+        }
+      }, {wrapUnions: true});
+      const server = limitedSvc.createServer({silent: true})
+        .use(limits.serverRateLimit({rate: 1}))
+        .onNeg(function (n, cb) { cb(null, -n); });
+      const client = limitedSvc.createClient({buffering: true, server});
+      client.neg(1, function (err) {
+        assert.ifError(err);
+        client.neg(1, function (err) {
+          const rec = err['verdon.LimitExceeded'];
+          assert(rec, err);
+          assert.equal(rec.code, 'RATE_LIMITED');
+          assert(rec.retryAfter > 0 && rec.retryAfter <= 1000);
+          done();
+        });
+      });
+    });
+
+    test('invalid rate', function () {
+      assert.throws(function () {
+        svc.createServer().use(limits.serverRateLimit());
+      }, /invalid rate/);
+    });
+  });
+
+  suite('concurrency limit', function () {
+
+    test('reject when full', function (done) {
+      const cbs = [];
+      const server = svc.createServer({silent: true})
+        .use(limits.serverConcurrencyLimit({maxConcurrent: 1}))
+        .onNeg(function (n, cb) { cbs.push(cb); });
+      const client = svc.createClient({buffering: true, server});
+      client.neg(1, function (err, n) {
+        assert.ifError(err);
+        assert.equal(n, 0);
+        done();
+      });
+      client.neg(2, function (err) {
+        assert(/TOO_MANY_CALLS/.test(err), err);
+        assert.equal(cbs.length, 1);
+        cbs[0](null, 0);
+      });
+    });
+
+    test('queue', function (done) {
+      const calls = [];
+      const server = svc.createServer({silent: true})
+        .use(limits.serverConcurrencyLimit({maxConcurrent: 1, maxQueued: 1}))
+        .onNeg(function (n, cb) {
+          calls.push(n);
+          setTimeout(function () { cb(null, -n); }, 5);
+        });
+      const client = svc.createClient({buffering: true, server});
+      let pending = 2;
+      client.neg(1, onResponse);
+      client.neg(2, onResponse);
+      client.neg(3, function (err) {
+        assert(/TOO_MANY_CALLS/.test(err), err);
+      });
+
+      function onResponse(err) {
+        assert.ifError(err);
+        if (!--pending) {
+          assert.deepEqual(calls, [1, 2]);
+          done();
+        }
+      }
+    });
+
+    test('queue timeout', function (done) {
+      let cb1;
+      const server = svc.createServer({silent: true})
+        .use(limits.serverConcurrencyLimit({
+          maxConcurrent: 1,
+          maxQueued: 1,
+          queueTimeout: 10
+        }))
+        .onNeg(function (n, cb) { cb1 = cb1 || cb; });
+      const client = svc.createClient({buffering: true, server});
+      client.neg(1, function (err) {
+        assert.ifError(err);
+        done();
+      });
+      client.neg(2, function (err) {
+        assert(/TOO_MANY_CALLS/.test(err), err);
+        cb1(null, -1);
+      });
+    });
+  });
+});
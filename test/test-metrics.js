@@ -0,0 +1,186 @@
+/* jshint esversion: 6, mocha: true, node: true */
+
+'use strict';
+
+const metrics = require('../lib/metrics');
+const proxy = require('../lib/proxy');
+
+const assert = require('assert');
+const avro = require('avsc');
+const http = require('http');
+
+
+suite('metrics', function () {
+
+  const svc = avro.Service.forProtocol(avro.readProtocol(`
+    protocol Math {
+      error Overflow { int n; }
+      int neg(int n) throws Overflow;
+      void log(string msg) oneway;
+    }
+  `));
+
+  let registry;
+
+  setup(function () {
+    registry = metrics.createRegistry();
+  });
+
+  teardown(function () {
+    registry = undefined;
+  });
+
+  test('render counter and gauge', function () {
+    registry.counter('calls_total', 'Calls.').inc({message: 'neg'}, 2);
+    const gauge = registry.gauge('open', 'Open "things".');
+    gauge.inc({scope: 'a\\b'});
+    gauge.inc({scope: 'a\\b'});
+    gauge.dec({scope: 'a\\b'});
+    gauge.set({scope: 'c"d'}, 5);
+    assert.equal(registry.render(), [
+      '# HELP calls_total Calls.',
+      '# TYPE calls_total counter',
+      'calls_total{message="neg"} 2',
+      '# HELP open Open "things".',
+      '# TYPE open gauge',
+      'open{scope="a\\\\b"} 1',
+      'open{scope="c\\"d"} 5',
+      ''
+    ].join('\n'));
+  });
+
+  test('render histogram', function () {
+    const histogram = registry.histogram('latency', 'Latency.', {
+      buckets: [1, 0.1]
+    });
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 2);
+    assert.equal(registry.render(), [
+      '# HELP latency Latency.',
+      '# TYPE latency histogram',
+      'latency_bucket{le="0.1"} 1',
+      'latency_bucket{le="1"} 2',
+      'latency_bucket{le="+Inf"} 3',
+      'latency_sum 2.55',
+      'latency_count 3',
+      ''
+    ].join('\n'));
+  });
+
+  test('shared metrics', function () {
+    const counter = registry.counter('calls_total', 'Calls.');
+    assert.strictEqual(registry.counter('calls_total', 'Calls.'), counter);
+    assert.throws(function () {
+      registry.gauge('calls_total', 'Calls.');
+    }, /incompatible metric/);
+    assert.throws(function () { counter.inc({}, -1); }, /can't decrease/);
+  });
+
+  test('missing registry', function () {
+    const server = svc.createServer();
+    assert.throws(function () {
+      server.use(metrics.serverMetrics());
+    }, /missing registry/);
+  });
+
+  test('client and server metrics', function (done) {
+    const server = svc.createServer({silent: true})
+      .use(metrics.serverMetrics({registry}))
+      .onNeg(function (n, cb) {
+        if (n > 10) {
+          cb({n});
+        } else if (n < 0) {
+          cb(new Error('negative'));
+        } else {
+          cb(null, -n);
+        }
+      })
+      .onLog(function () {});
+    const client = svc.createClient({buffering: true, server})
+      .use(metrics.clientMetrics({registry}));
+    client.log('hi');
+    client.neg(1, function (err) {
+      assert.ifError(err);
+      client.neg(20, function (err) {
+        assert.deepEqual(err, {n: 20});
+        client.neg(-1, function (err) {
+          assert(/negative/.test(err), err);
+          client.neg(1, {timeout: 1}, function () {}); // Too slow.
+          client.destroyChannels({noWait: true});
+          setTimeout(check, 10);
+        });
+      });
+    });
+
+    function check() {
+      const labels = {protocol: 'Math', message: 'neg'};
+      for (const prefix of ['verdon_client', 'verdon_server']) {
+        const calls = registry.get(`${prefix}_calls_total`);
+        assert.equal(calls.get(labels), prefix === 'verdon_client' ? 4 : 3);
+        const oneWays = registry.get(`${prefix}_one_way_total`);
+        assert.equal(oneWays.get({protocol: 'Math', message: 'log'}), 1);
+        const errors = registry.get(`${prefix}_errors_total`);
+        const errorCount = (type) => errors.get(Object.assign({type}, labels));
+        assert.equal(errorCount('Overflow'), 1);
+        assert.equal(errorCount('string'), 1);
+        const durations = registry.get(`${prefix}_duration_seconds`);
+        assert(durations.get(labels).count >= 3);
+      }
+      const clientErrors = registry.get('verdon_client_errors_total');
+      assert.equal(clientErrors.get({
+        protocol: 'Math',
+        message: 'neg',
+        type: 'system'
+      }), 1);
+      done();
+    }
+  });
+
+  test('proxy metrics route', function (done) {
+    const server = svc.createServer()
+      .onNeg(function (n, cb) { cb(null, -n); });
+    const p = proxy.createProxy({registry}).bindServer(server);
+    let channel;
+    p.on('channel', function (channel_) { channel = channel_; });
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.getRequestHandler())
+      .on('listening', function () {
+        proxy.startTunnel('http://localhost:8080', function (err, tunnel) {
+          assert.ifError(err);
+          const client = svc.createClient();
+          client.createChannel(tunnel);
+          client.neg(1, function (err) {
+            assert.ifError(err);
+            getMetrics(function (res, str) {
+              assert.equal(res.statusCode, 200);
+              assert(/^text\/plain/.test(res.headers['content-type']));
+              assert(/verdon_proxy_channels{scope=""} 1/.test(str), str);
+              // The gauge is updated before this listener runs.
+              channel.once('eot', function () {
+                getMetrics(function (res, str) {
+                  assert(/verdon_proxy_channels{scope=""} 0/.test(str), str);
+                  httpServer.close();
+                });
+              });
+              client.destroyChannels();
+              tunnel.destroy();
+            });
+          });
+        });
+      })
+      .on('connect', p.connectHandler())
+      .on('close', function () { done(); })
+      .listen(8080);
+
+    function getMetrics(cb) {
+      http.get({path: '/metrics', port: 8080}, function (res) {
+        const bufs = [];
+        res
+          .on('data', function (buf) { bufs.push(buf); })
+          .on('end', function () { cb(res, Buffer.concat(bufs).toString()); });
+      });
+    }
+  });
+});
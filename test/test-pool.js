@@ -0,0 +1,152 @@
+/* jshint esversion: 6, mocha: true, node: true */
+
+'use strict';
+
+const pool = require('../lib/pool');
+const proxy = require('../lib/proxy');
+
+const assert = require('assert');
+const avro = require('avsc');
+const http = require('http');
+const stream = require('stream');
+
+
+suite('pool', function () {
+
+  const svc = avro.Service.forProtocol({
+    protocol: 'Math',
+    messages: {
+      neg: {request: [{name: 'n', type: 'int'}], response: 'int'}
+    }
+  });
+
+  test('round robin', function (done) {
+    const counts = [0, 0];
+    const p = pool.createPool(svc);
+    p.addUpstream(connect(createServer(0)));
+    p.addUpstream(connect(createServer(1)));
+    let pending = 4;
+    for (let i = 0; i < 4; i++) {
+      p.client.neg(i, function (err, n) {
+        assert.ifError(err);
+        assert.equal(n, -i);
+        if (--pending) {
+          return;
+        }
+        assert.deepEqual(counts, [2, 2]);
+        p.close();
+        done();
+      });
+    }
+
+    function createServer(index) {
+      return svc.createServer()
+        .onNeg(function (n, cb) { counts[index]++; cb(null, -n); });
+    }
+  });
+
+  test('least pending', function (done) {
+    const slowCbs = [];
+    const slowServer = svc.createServer()
+      .onNeg(function (n, cb) { slowCbs.push(cb); });
+    let fastCount = 0;
+    const fastServer = svc.createServer()
+      .onNeg(function (n, cb) { fastCount++; cb(null, -n); });
+    const p = pool.createPool(svc, {strategy: 'leastPending'});
+    p.addUpstream(connect(slowServer));
+    let slowPending = 2;
+    p.client.neg(1, onSlowResponse);
+    p.client.neg(2, onSlowResponse);
+    p.addUpstream(connect(fastServer));
+    p.client.neg(3, function (err) {
+      assert.ifError(err);
+      p.client.neg(4, function (err) {
+        assert.ifError(err);
+        assert.equal(fastCount, 2);
+        assert.equal(slowCbs.length, 2);
+        for (const cb of slowCbs) {
+          cb(null, 0);
+        }
+      });
+    });
+
+    function onSlowResponse(err) {
+      assert.ifError(err);
+      if (!--slowPending) {
+        p.close();
+        done();
+      }
+    }
+  });
+
+  test('eject and restore', function (done) {
+    const server = svc.createServer()
+      .onNeg(function (n, cb) { cb(null, -n); });
+    const p = pool.createPool(svc, {maxErrors: 1, ejectionTime: 20});
+    // Upstream which never responds.
+    const deadTransport = {
+      readable: new stream.PassThrough(),
+      writable: new stream.PassThrough()
+    };
+    const deadChannel = p.addUpstream(deadTransport, {noPing: true});
+    p.addUpstream(connect(server));
+    p
+      .once('eject', function (channel, err) {
+        assert.strictEqual(channel, deadChannel);
+        assert(/timeout/.test(err), err);
+        const states = p.upstreams().map((obj) => obj.ejected);
+        assert.deepEqual(states, [true, false]);
+        // All calls now go to the healthy upstream.
+        for (let i = 0; i < 3; i++) {
+          p.client.neg(i, {timeout: 10}, assert.ifError);
+        }
+      })
+      .once('restore', function (channel) {
+        assert.strictEqual(channel, deadChannel);
+        assert.deepEqual(p.upstreams()[0].errors, 0);
+        p.close();
+        done();
+      });
+    p.client.neg(1, {timeout: 10}, function () {});
+    p.client.neg(2, {timeout: 10}, function () {});
+  });
+
+  test('proxy provider', function (done) {
+    const p = pool.createPool(svc);
+    const px = proxy.createProxy().bindClientProvider(p.provider());
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', px.connectHandler())
+      .on('listening', function () {
+        let tunnel;
+        // Backend connecting to the proxy.
+        proxy.startTunnel('http://localhost:8080', function (err, sock) {
+          assert.ifError(err);
+          tunnel = sock;
+          svc.createServer()
+            .onNeg(function (n, cb) { cb(null, -n); })
+            .createChannel(tunnel);
+        });
+        p.client.neg(2, function (err, n) {
+          assert.ifError(err);
+          assert.equal(n, -2);
+          assert.equal(p.upstreams().length, 1);
+          p.close();
+          tunnel.destroy();
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('unknown strategy', function () {
+    assert.throws(function () { pool.createPool(svc, {strategy: 'foo'}); });
+  });
+
+  function connect(server) {
+    const streams = [new stream.PassThrough(), new stream.PassThrough()];
+    server.createChannel({readable: streams[0], writable: streams[1]});
+    return {readable: streams[1], writable: streams[0]};
+  }
+});
@@ -2,11 +2,15 @@
 
 'use strict';
 
+const caching = require('../lib/caching');
+const metrics = require('../lib/metrics');
 const proxy = require('../lib/proxy');
+const tracing = require('../lib/tracing');
 
 const assert = require('assert');
 const avro = require('avsc');
 const http = require('http');
+const stream = require('stream');
 
 
 suite('proxy', function () {
@@ -108,7 +112,8 @@ suite('proxy', function () {
       .on('connect', p.connectHandler())
       .on('listening', function () {
         proxy.startTunnel('http://localhost:8080', function (err) {
-          assert(/Bad Request/.test(err), err);
+          assert.equal(err.code, 'NOT_FOUND');
+          assert(/invalid scope/.test(err), err);
           httpServer.close();
         });
       })
@@ -170,4 +175,1322 @@ suite('proxy', function () {
       .on('close', function () { done(); })
       .listen(8080);
   });
+
+  test('ready after expected scopes are bound', function () {
+    const p = proxy.createProxy({scopes: ['a', 'b']});
+    let ready = false;
+    p.on('ready', function () { ready = true; });
+    assert(!p.isReady());
+    p.bindServer(server, {scope: 'a'});
+    assert.deepEqual(p.pendingScopes(), ['b']);
+    assert(!ready);
+    p.bindServer(svc.createServer(), {scope: 'b'});
+    assert(p.isReady());
+    assert(ready);
+  });
+
+  test('connect method late binding', function (done) {
+    const p = proxy.createProxy({scopes: ['']});
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        proxy.startTunnel('http://localhost:8080', function (err, tunnel) {
+          assert.ifError(err);
+          client.createChannel(tunnel);
+          client.neg(2, function (err, n) {
+            assert.ifError(err);
+            assert.equal(n, -2);
+            client.destroyChannels();
+            httpServer.close();
+          });
+        });
+        setTimeout(function () {
+          p.bindServer(server.onNeg(function (n, cb) { cb(null, -n); }));
+        }, 20);
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('post method late binding', function (done) {
+    const p = proxy.createProxy({scopes: ['']});
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        http.request({
+          method: 'POST',
+          port: 8080,
+          headers: {'content-type': 'avro/json'}
+        }).on('response', function (res) {
+            assert.equal(res.statusCode, 200);
+            httpServer.close();
+          })
+          .end('{"message":"neg","request":{"n":2}}');
+        setTimeout(function () {
+          p.bindServer(server.onNeg(function (n, cb) { cb(null, -n); }));
+        }, 20);
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method unavailable scope', function (done) {
+    const p = proxy.createProxy({scopes: [''], bufferChannels: false});
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        proxy.startTunnel('http://localhost:8080', function (err) {
+          assert(/unavailable scope/.test(err), err);
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('post method unavailable scope', function (done) {
+    const p = proxy.createProxy({scopes: [''], bufferChannels: false});
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        const body = '{"message":"neg","request":{"n":2}}';
+        postJson({}, body, function (res, obj) {
+          assert.equal(res.statusCode, 503);
+          assert.equal(obj.code, 'UNAVAILABLE');
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('post method binding timeout', function (done) {
+    const p = proxy.createProxy({scopes: [''], bindingTimeout: 10});
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        const body = '{"message":"neg","request":{"n":2}}';
+        postJson({}, body, function (res, obj) {
+          assert.equal(res.statusCode, 503);
+          assert(/timed out/.test(obj.message), obj);
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('buffered channel creation failure', function () {
+    const p = proxy.createProxy({scopes: ['a'], maxChannelsPerScope: 0});
+    const transport = new stream.PassThrough();
+    assert.strictEqual(p.createChannels(transport, ['a']), undefined);
+    p.bindServer(server, {scope: 'a'}); // No error emitted.
+    assert(transport.destroyed);
+  });
+
+  test('buffered channel creation timeout', function (done) {
+    const p = proxy.createProxy({scopes: ['a'], bindingTimeout: 10});
+    const transport = new stream.PassThrough();
+    assert.strictEqual(p.createChannels(transport, ['a']), undefined);
+    transport.on('close', function () {
+      p.bindServer(server, {scope: 'a'});
+      assert.equal(server.activeChannels().length, 0);
+      done();
+    });
+  });
+
+  test('get method health', function (done) {
+    const p = proxy.createProxy({scopes: ['a', 'b']})
+      .bindServer(server, {scope: 'a'});
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.getRequestHandler())
+      .on('listening', function () {
+        getJson('/health', function (status, obj) {
+          assert.equal(status, 503);
+          assert.deepEqual(obj, {
+            status: 'UNAVAILABLE',
+            scopes: {a: 'BOUND', b: 'PENDING'}
+          });
+          p.bindServer(svc.createServer(), {scope: 'b'});
+          getJson('/health', function (status, obj) {
+            assert.equal(status, 200);
+            assert.equal(obj.status, 'OK');
+            httpServer.close();
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('get method unauthenticated health', function (done) {
+    const p = proxy.createProxy(function (hdrs, cb) {
+      cb(new Error('no credentials'));
+    });
+    const opts = {authenticateHealth: false};
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.getRequestHandler('/', opts))
+      .on('listening', function () {
+        getJson('/health', function (status, obj) {
+          assert.equal(status, 200);
+          assert.equal(obj.status, 'OK');
+          getJson('/protocols', function (status) {
+            assert.equal(status, 403);
+            httpServer.close();
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('get method protocols', function (done) {
+    const p = proxy.createProxy().bindServer(server, {scope: 'math'});
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.getRequestHandler('/verdon'))
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        getJson('/verdon/protocols/math', function (status, obj) {
+          assert.equal(status, 200);
+          assert.deepEqual(obj, svc.protocol);
+          getJson('/verdon/protocols', function (status, obj) {
+            assert.equal(status, 200);
+            assert.deepEqual(obj, {math: svc.protocol});
+            getJson('/verdon/protocols/foo', function (status) {
+              assert.equal(status, 404);
+              getJson('/verdon/protocols/%E0%A4%A', function (status) {
+                assert.equal(status, 400);
+                httpServer.close();
+              });
+            });
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method principal', function (done) {
+    const p = proxy.createProxy(function (hdrs, info, cb) {
+      assert.deepEqual(info.scopes, ['math']);
+      assert.equal(info.url, '/math');
+      cb(null, {name: hdrs.user});
+    }).bindServer(server.onNeg(function (n, cb) {
+      assert.deepEqual(this.locals.principal, {name: 'ann'});
+      cb(null, -n);
+    }), {scope: 'math'});
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        const url = 'http://localhost:8080/math';
+        const opts = {headers: {user: 'ann'}};
+        proxy.startTunnel(url, opts, function (err, tunnel) {
+          assert.ifError(err);
+          client.createChannel(tunnel, {scope: 'math'});
+          client.neg(2, function (err, n) {
+            assert.ifError(err);
+            assert.equal(n, -2);
+            client.destroyChannels();
+            httpServer.close();
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method forbidden scope', function (done) {
+    const opts = {
+      authorize: function (principal, {scope}) { return scope !== 'admin'; }
+    };
+    const p = proxy.createProxy(opts).bindServer(server, {scope: 'admin'});
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        proxy.startTunnel('http://localhost:8080/admin', function (err) {
+          assert(/permission denied for scope: admin/.test(err), err);
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('post method forbidden message', function (done) {
+    const opts = {
+      authorize: function (principal, {message}) {
+        return principal === 'admin' || message !== 'neg';
+      }
+    };
+    const p = proxy.createProxy(opts, function (hdrs, info, cb) {
+      cb(null, hdrs.user);
+    }).bindServer(svc.createServer({silent: true})
+      .onNeg(function (n, cb) { cb(null, -n); }));
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        postJson('guest', function (jres) {
+          assert(/permission denied/.test(jres.error.string), jres);
+          postJson('admin', function (jres) {
+            assert.equal(jres.response, -1);
+            httpServer.close();
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+
+    function postJson(user, cb) {
+      http.request({
+        method: 'POST',
+        port: 8080,
+        headers: {'content-type': 'avro/json', user}
+      }).on('response', function (res) {
+          const bufs = [];
+          res
+            .on('data', function (buf) { bufs.push(buf); })
+            .on('end', function () {
+              cb(JSON.parse(Buffer.concat(bufs)));
+            });
+        })
+        .end('{"message":"neg","request":{"n":1}}');
+    }
+  });
+
+  test('post method cached forbidden message', function (done) {
+    const opts = {
+      authorize: function (principal, {message}) {
+        return principal === 'admin' || message !== 'neg';
+      }
+    };
+    const p = proxy.createProxy(opts, function (hdrs, info, cb) {
+      cb(null, hdrs.user);
+    }).bindServer(svc.createServer({silent: true})
+      .use(caching.serverCaching({messages: ['neg']}))
+      .onNeg(function (n, cb) {
+        assert.equal(this.locals.scope, '');
+        cb(null, -n);
+      }));
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        postJson('admin', function (jres) {
+          assert.equal(jres.response, -1);
+          // The cached response isn't returned to other principals, which
+          // still go through authorization.
+          postJson('guest', function (jres) {
+            assert(/permission denied/.test(jres.error.string), jres);
+            httpServer.close();
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+
+    function postJson(user, cb) {
+      http.request({
+        method: 'POST',
+        port: 8080,
+        headers: {'content-type': 'avro/json', user}
+      }).on('response', function (res) {
+          const bufs = [];
+          res
+            .on('data', function (buf) { bufs.push(buf); })
+            .on('end', function () {
+              cb(JSON.parse(Buffer.concat(bufs)));
+            });
+        })
+        .end('{"message":"neg","request":{"n":1}}');
+    }
+  });
+
+  test('post method cached response per principal', function (done) {
+    // Users look the same once serialized, their state being in a map.
+    class User {
+      constructor(name) { this._attrs = new Map([['name', name]]); }
+      get name() { return this._attrs.get('name'); }
+    }
+    const users = new Map();
+    const p = proxy.createProxy(function (hdrs, cb) {
+      if (!users.has(hdrs.user)) {
+        users.set(hdrs.user, new User(hdrs.user));
+      }
+      cb(null, users.get(hdrs.user));
+    });
+    const names = [];
+    p.bindServer(svc.createServer()
+      .use(caching.serverCaching({messages: ['neg']}))
+      .onNeg(function (n, cb) {
+        names.push(this.locals.principal.name);
+        cb(null, -names.length);
+      }));
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        postJson('alice', function (jres) {
+          assert.equal(jres.response, -1);
+          postJson('bob', function (jres) {
+            assert.equal(jres.response, -2);
+            postJson('alice', function (jres) {
+              assert.equal(jres.response, -1); // Cached.
+              assert.deepEqual(names, ['alice', 'bob']);
+              httpServer.close();
+            });
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+
+    function postJson(user, cb) {
+      http.request({
+        method: 'POST',
+        port: 8080,
+        headers: {'content-type': 'avro/json', user}
+      }).on('response', function (res) {
+          const bufs = [];
+          res
+            .on('data', function (buf) { bufs.push(buf); })
+            .on('end', function () {
+              cb(JSON.parse(Buffer.concat(bufs)));
+            });
+        })
+        .end('{"message":"neg","request":{"n":1}}');
+    }
+  });
+
+  test('post method invalid request field', function (done) {
+    const p = proxy.createProxy().bindServer(server);
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        const body = '{"message":"neg","request":{"n":"a"}}';
+        postJson({}, body, function (res, obj) {
+          assert.equal(res.statusCode, 400);
+          assert.equal(obj.code, 'INVALID_REQUEST');
+          assert.equal(obj.path, 'request.n');
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('post method unknown scope', function (done) {
+    const p = proxy.createProxy().bindServer(server);
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        const body = '{"message":"neg","request":{"n":1}}';
+        postJson({path: '/foo'}, body, function (res, obj) {
+          assert.equal(res.statusCode, 404);
+          assert.equal(obj.code, 'NOT_FOUND');
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('post method forbidden', function (done) {
+    const p = proxy.createProxy(function (hdrs, cb) { cb(new Error('no')); })
+      .bindServer(server);
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        const body = '{"message":"neg","request":{"n":1}}';
+        postJson({}, body, function (res, obj) {
+          assert.equal(res.statusCode, 403);
+          assert.deepEqual(obj, {code: 'PERMISSION_DENIED', message: 'no'});
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('post method too large', function (done) {
+    const p = proxy.createProxy({maxBodySize: 10}).bindServer(server);
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        const body = '{"message":"neg","request":{"n":1}}';
+        postJson({}, body, function (res, obj) {
+          assert.equal(res.statusCode, 413);
+          assert.equal(obj.code, 'PAYLOAD_TOO_LARGE');
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('post method unsupported content type', function (done) {
+    const p = proxy.createProxy().bindServer(server);
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        http.request({
+          method: 'POST',
+          port: 8080,
+          headers: {'content-type': 'text/plain'}
+        }).on('response', function (res) {
+            assert.equal(res.statusCode, 415);
+            httpServer.close();
+          })
+          .end('hi');
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('post method invalid method', function (done) {
+    const p = proxy.createProxy().bindServer(server);
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler('/rpc'))
+      .on('request', p.getRequestHandler('/rpc/_'))
+      .on('listening', function () {
+        getJson('/rpc/math', function (status) {
+          assert.equal(status, 405);
+          getJson('/rpc/_/health', function (status) {
+            assert.equal(status, 200);
+            httpServer.close();
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('post method default prefix other methods', function (done) {
+    const p = proxy.createProxy().bindServer(server);
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('request', function (req, res) {
+        if (req.method === 'GET') {
+          res.end('hi');
+        }
+      })
+      .on('listening', function () {
+        getJson('/index.html', function (status, str) {
+          assert.equal(status, 200);
+          assert.equal(str, 'hi');
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('post method chunked body too large', function (done) {
+    const p = proxy.createProxy({maxBodySize: 10}).bindServer(server);
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        const req = http.request({
+          method: 'POST',
+          port: 8080,
+          headers: {'content-type': 'avro/binary'}
+        }).on('response', function (res) {
+            assert.equal(res.statusCode, 413);
+            httpServer.close();
+          });
+        req.write(Buffer.alloc(8, 1));
+        req.end(Buffer.alloc(8, 1));
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method max channels per scope', function (done) {
+    const p = proxy.createProxy({maxChannelsPerScope: 1})
+      .bindServer(server.onNeg(function (n, cb) { cb(null, -n); }));
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        proxy.startTunnel('http://localhost:8080', function (err, tunnel) {
+          assert.ifError(err);
+          client.createChannel(tunnel);
+          proxy.startTunnel('http://localhost:8080', function (err) {
+            assert(/too many channels/.test(err), err);
+            client.destroyChannels({noWait: true});
+            httpServer.close();
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method max channels per wildcard binding', function (done) {
+    const registry = metrics.createRegistry();
+    const p = proxy.createProxy({maxChannelsPerScope: 1, registry})
+      .bindServer(server, {scope: 'tenants/*'});
+    const gauge = registry.get('verdon_proxy_channels');
+    let channel;
+    p.on('channel', function (channel_, scope, key) {
+      assert.equal(scope, 'tenants/a');
+      assert.equal(key, 'tenants/*');
+      channel = channel_;
+    });
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        const url = 'http://localhost:8080/tenants/a';
+        proxy.startTunnel(url, function (err, tunnel) {
+          assert.ifError(err);
+          assert.equal(gauge.get({scope: 'tenants/*'}), 1);
+          // Other scopes routed to the same binding share its limit.
+          const url = 'http://localhost:8080/tenants/b';
+          proxy.startTunnel(url, function (err) {
+            assert(/too many channels/.test(err), err);
+            channel.once('eot', function () {
+              assert.equal(gauge.get({scope: 'tenants/*'}), 0);
+              assert.equal(gauge.get({scope: 'tenants/b'}), undefined);
+              assert.equal(p._channelCounts.size, 0);
+              httpServer.close();
+            });
+            tunnel.destroy();
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method creation failure response', function (done) {
+    const p = proxy.createProxy({maxChannelsPerScope: 0}).bindServer(server);
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        http.request({port: 8080, method: 'CONNECT', path: '/'})
+          .on('connect', function (res, sock) {
+            // The error is sent instead of (not after) a 200 response.
+            assert.equal(res.statusCode, 503);
+            sock.destroy();
+            httpServer.close();
+          })
+          .end();
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method client provider early data', function (done) {
+    const p = proxy.createProxy()
+      .bindClientProvider(function () { return client; });
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        // The proxy's client channel pings as soon as it is created, possibly
+        // in the same packet as the 200 response.
+        proxy.startTunnel('http://localhost:8080', function (err, tunnel) {
+          assert.ifError(err);
+          svc.createServer()
+            .onNeg(function (n, cb) { cb(null, -n); })
+            .createChannel(tunnel);
+          client.neg(2, function (err, n) {
+            assert.ifError(err);
+            assert.equal(n, -2);
+            tunnel.destroy();
+            httpServer.close();
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method handshake timeout', function (done) {
+    const p = proxy.createProxy({handshakeTimeout: 10}).bindServer(server);
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        proxy.startTunnel('http://localhost:8080', function (err, tunnel) {
+          assert.ifError(err);
+          // No channel is created on this side, so no handshake is sent.
+          tunnel.on('end', function () { httpServer.close(); }).resume();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method idle timeout', function (done) {
+    const p = proxy.createProxy({idleTimeout: 200})
+      .bindServer(server.onNeg(function (n, cb) { cb(null, -n); }));
+    let calls = 0;
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        proxy.startTunnel('http://localhost:8080', function (err, tunnel) {
+          assert.ifError(err);
+          client.createChannel(tunnel);
+          client.neg(2, function (err, n) {
+            assert.ifError(err);
+            assert.equal(n, -2);
+            calls++;
+          });
+          tunnel.on('end', function () {
+            assert.equal(calls, 1);
+            httpServer.close();
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method message too large', function (done) {
+    const echoSvc = avro.Service.forProtocol({
+      protocol: 'Echo',
+      messages: {
+        echo: {request: [{name: 's', type: 'string'}], response: 'string'}
+      }
+    });
+    const echoServer = echoSvc.createServer({silent: true})
+      .onEcho(function (s, cb) { cb(null, s); });
+    const echoClient = echoSvc.createClient();
+    const p = proxy.createProxy({maxMessageSize: 1024})
+      .bindServer(echoServer);
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        proxy.startTunnel('http://localhost:8080', function (err, tunnel) {
+          assert.ifError(err);
+          echoClient.createChannel(tunnel);
+          echoClient.echo('hi', function (err, s) {
+            assert.ifError(err);
+            assert.equal(s, 'hi');
+            echoClient.echo('a'.repeat(2048), function (err) {
+              assert(err);
+              httpServer.close();
+            });
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('post method hierarchical and wildcard scopes', function (done) {
+    const p = proxy.createProxy()
+      .bindServer(createServer(1), {scope: 'billing/v2'})
+      .bindServer(createServer(2), {scope: 'billing/*'})
+      .bindServer(createServer(3), {scope: '*'});
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        const body = '{"message":"neg","request":{"n":1}}';
+        postJson({path: '/billing/v2'}, body, function (res, obj) {
+          assert.deepEqual(obj.response, 1);
+          postJson({path: '/billing/v1/beta'}, body, function (res, obj) {
+            assert.deepEqual(obj.response, 2);
+            postJson({path: '/other'}, body, function (res, obj) {
+              assert.deepEqual(obj.response, 3);
+              httpServer.close();
+            });
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+
+    function createServer(n) {
+      return svc.createServer().onNeg(function (n_, cb) { cb(null, n); });
+    }
+  });
+
+  test('connect method replace binding', function (done) {
+    const server2 = svc.createServer()
+      .onNeg(function (n, cb) { cb(null, -n); });
+    const server1 = svc.createServer()
+      .onNeg(function (n, cb) {
+        p.bindServer(server2, {scope: 'math'});
+        // The pending call completes before the channel is drained.
+        setTimeout(function () { cb(null, 0); }, 10);
+      })
+      .once('channel', function (channel) {
+        channel.once('eot', function () {
+          const client2 = svc.createClient();
+          proxy.startTunnel(url, function (err, tunnel) {
+            assert.ifError(err);
+            client2.createChannel(tunnel, {scope: 'math'});
+            client2.neg(2, function (err, n) {
+              assert.ifError(err);
+              assert.equal(n, -2);
+              client2.destroyChannels({noWait: true});
+              httpServer.close();
+            });
+          });
+        });
+      });
+    const p = proxy.createProxy().bindServer(server1, {scope: 'math'});
+    const url = 'http://localhost:8080/math';
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        proxy.startTunnel(url, function (err, tunnel) {
+          assert.ifError(err);
+          client.createChannel(tunnel, {scope: 'math'});
+          client.neg(1, function (err, n) {
+            assert.ifError(err);
+            assert.equal(n, 0);
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('post method traceparent', function (done) {
+    const traceId = '0af7651916cd43dd8448eb211c80319c';
+    const parentId = 'b7ad6b7169203331';
+    const tracingServer = svc.createServer()
+      .use(tracing.serverTracing())
+      .onNeg(function (n, cb) {
+        const trace = this.locals.trace;
+        assert.equal(trace.uuid.toString('hex'), traceId);
+        assert.equal(trace.parentSpanId.toString('hex'), parentId);
+        assert.equal(trace.traceState, 'congo=t61rcWkgMzE');
+        assert.equal(trace.sampling, 'SAMPLE');
+        cb(null, -n);
+      });
+    const p = proxy.createProxy().bindServer(tracingServer);
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        const headers = {
+          traceparent: `00-${traceId}-${parentId}-01`,
+          tracestate: 'congo=t61rcWkgMzE'
+        };
+        const body = '{"message":"neg","request":{"n":1}}';
+        postJson({headers}, body, function (res, obj) {
+          assert.equal(obj.response, -1);
+          // Same trace and flags, but the proxy's own span.
+          const parts = res.headers.traceparent.split('-');
+          assert.equal(parts[1], traceId);
+          assert(/^[0-9a-f]{16}$/.test(parts[2]), parts[2]);
+          assert.notEqual(parts[2], parentId);
+          assert.equal(parts[3], '01');
+          assert.equal(res.headers.tracestate, headers.tracestate);
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('post method invalid traceparent', function (done) {
+    let traceId;
+    const tracingServer = svc.createServer()
+      .use(tracing.serverTracing())
+      .onNeg(function (n, cb) {
+        const trace = this.locals.trace;
+        traceId = trace.uuid.toString('hex');
+        assert.strictEqual(trace.parentSpanId, null);
+        cb(null, -n);
+      });
+    const p = proxy.createProxy().bindServer(tracingServer);
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        const headers = {
+          traceparent: `00-${'0'.repeat(32)}-b7ad6b7169203331-01`
+        };
+        const body = '{"message":"neg","request":{"n":1}}';
+        postJson({headers}, body, function (res) {
+          const parts = res.headers.traceparent.split('-');
+          assert.equal(parts.length, 4);
+          assert.equal(parts[1], traceId);
+          assert(/^[0-9a-f]{16}$/.test(parts[2]), parts[2]);
+          assert.equal(parts[3], '00');
+          assert.equal(res.headers.tracestate, undefined);
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method traceparent', function (done) {
+    const traceId = '0af7651916cd43dd8448eb211c80319c';
+    const p = proxy.createProxy().bindServer(server);
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        http.request({
+          method: 'CONNECT',
+          port: 8080,
+          path: '/',
+          headers: {traceparent: `00-${traceId}-b7ad6b7169203331-00`}
+        }).on('connect', function (res, sock) {
+            assert.equal(res.statusCode, 200);
+            const parts = res.headers.traceparent.split('-');
+            assert.equal(parts[1], traceId);
+            assert.notEqual(parts[2], 'b7ad6b7169203331');
+            sock.destroy();
+            httpServer.close();
+          })
+          .end();
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method untraced calls', function (done) {
+    const traceIds = [];
+    const tracingServer = svc.createServer()
+      .use(tracing.serverTracing())
+      .onNeg(function (n, cb) {
+        traceIds.push(this.locals.trace.uuid.toString('hex'));
+        cb(null, -n);
+      });
+    const p = proxy.createProxy().bindServer(tracingServer);
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        proxy.startTunnel('http://localhost:8080', function (err, tunnel) {
+          assert.ifError(err);
+          client.createChannel(tunnel);
+          client.neg(1, function (err) {
+            assert.ifError(err);
+            client.neg(2, function (err) {
+              assert.ifError(err);
+              // Each call on the tunnel gets its own trace.
+              assert.equal(traceIds.length, 2);
+              assert.notEqual(traceIds[0], traceIds[1]);
+              client.destroyChannels();
+              httpServer.close();
+            });
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('access log post method', function (done) {
+    const records = [];
+    const p = proxy.createProxy(
+      {accessLog: (r) => { records.push(r); }},
+      function (hdrs, opts, cb) { cb(null, 'ann'); }
+    ).bindServer(server.onNeg(function (n, cb) { cb(null, -n); }));
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        const body = '{"message":"neg","request":{"n":1}}';
+        postJson({path: '/'}, body, function (res, obj) {
+          assert.equal(obj.response, -1);
+          setTimeout(function () {
+            const kinds = records.map((r) => r.kind + (r.event || ''));
+            assert.deepEqual(kinds.sort(), [
+              'channelclose', 'channelopen', 'message', 'request'
+            ]);
+            const msgRecord = records.find((r) => r.kind === 'message');
+            assert.equal(msgRecord.message, 'neg');
+            assert.equal(msgRecord.status, 'SUCCESS');
+            assert.equal(msgRecord.principal, 'ann');
+            assert.equal(msgRecord.transport, 'post');
+            const reqRecord = records.find((r) => r.kind === 'request');
+            assert.equal(reqRecord.status, 200);
+            assert.equal(reqRecord.method, 'POST');
+            assert.deepEqual(reqRecord.scopes, ['']);
+            assert.equal(reqRecord.principal, 'ann');
+            assert(reqRecord.bytesIn >= body.length, reqRecord.bytesIn);
+            assert(reqRecord.bytesOut > 0, reqRecord.bytesOut);
+            assert(reqRecord.remoteAddress);
+            assert(!isNaN(Date.parse(reqRecord.time)));
+            httpServer.close();
+          }, 10);
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('access log connect method', function (done) {
+    const lines = [];
+    const accessLog = {write: function (str) { lines.push(str); }};
+    const p = proxy.createProxy({accessLog})
+      .bindServer(server.onNeg(function (n, cb) { cb(null, -n); }));
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        proxy.startTunnel('http://localhost:8080', function (err, tunnel) {
+          assert.ifError(err);
+          client.createChannel(tunnel);
+          client.neg(2, function (err) {
+            assert.ifError(err);
+            tunnel.once('close', function () {
+              setTimeout(check, 10);
+            });
+            client.destroyChannels();
+            tunnel.end();
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+
+    function check() {
+      const records = lines.map(function (line) {
+        assert(/\n$/.test(line));
+        return JSON.parse(line);
+      });
+      const upgrade = records.find((r) => r.kind === 'upgrade');
+      assert.equal(upgrade.transport, 'connect');
+      assert.equal(upgrade.status, 200);
+      assert(upgrade.bytesIn > 0 && upgrade.bytesOut > 0, upgrade);
+      const events = records
+        .filter((r) => r.kind === 'channel')
+        .map((r) => r.event);
+      assert.deepEqual(events, ['open', 'close']);
+      httpServer.close();
+    }
+  });
+
+  test('access log forbidden upgrade', function (done) {
+    const records = [];
+    const p = proxy.createProxy(
+      {accessLog: (r) => { records.push(r); }},
+      function (hdrs, cb) { cb(new Error('no')); }
+    );
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        proxy.startTunnel('http://localhost:8080', function (err) {
+          assert.equal(err.code, 'PERMISSION_DENIED');
+          setTimeout(function () {
+            assert.equal(records.length, 1);
+            assert.equal(records[0].status, 403);
+            assert.equal(records[0].error, 'no');
+            httpServer.close();
+          }, 10);
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('access log stream unserializable principal', function (done) {
+    const principal = {id: BigInt(1)};
+    principal.self = principal;
+    const accessLog = new stream.PassThrough();
+    const p = proxy.createProxy({accessLog}, function (hdrs, info, cb) {
+      cb(null, principal);
+    }).bindServer(server.onNeg(function (n, cb) { cb(null, -n); }));
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', p.postRequestHandler())
+      .on('listening', function () {
+        const body = '{"message":"neg","request":{"n":1}}';
+        postJson({}, body, function (res) {
+          assert.equal(res.statusCode, 200);
+          setTimeout(function () {
+            const records = accessLog.read().toString().trim().split('\n')
+              .map(function (line) { return JSON.parse(line); });
+            const record = records.find(function (r) {
+              return r.kind === 'request';
+            });
+            assert.deepEqual(record.principal, {id: '1', self: '[Circular]'});
+            httpServer.close();
+          }, 10);
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('access log invalid destination', function () {
+    assert.throws(function () {
+      proxy.createProxy({accessLog: 'foo'});
+    }, /invalid access log/);
+  });
+
+  test('unbind expected scope', function () {
+    const p = proxy.createProxy({scopes: ['math']});
+    p.bindServer(server, {scope: 'math'});
+    assert(p.isReady());
+    let scope;
+    p.on('unbind', function (scope_) { scope = scope_; }).unbind('math');
+    assert.equal(scope, 'math');
+    assert(!p.isReady());
+    assert.deepEqual(p.pendingScopes(), ['math']);
+  });
+
+  test('connect method promises', function (done) {
+    const p = proxy.createProxy(function (hdrs) {
+      return Promise.resolve({name: hdrs.user});
+    }).bindServer(server.onNeg(function (n, cb) {
+      assert.deepEqual(this.locals.principal, {name: 'ann'});
+      cb(null, -n);
+    }));
+    const url = 'http://localhost:8080';
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        proxy.startTunnel(url, {headers: {user: 'ann'}})
+          .then(function (tunnel) {
+            client.createChannel(tunnel);
+            client.neg(2, function (err, n) {
+              assert.ifError(err);
+              assert.equal(n, -2);
+              let closed = false;
+              p.once('close', function () { closed = true; });
+              p.close()
+                .then(function () {
+                  assert(closed);
+                  return proxy.startTunnel(url);
+                })
+                .catch(function (err) {
+                  assert(/proxy closed/.test(err), err);
+                  httpServer.close();
+                });
+            });
+          });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method receiver rejected promise', function (done) {
+    const p = proxy.createProxy(function () {
+      return Promise.reject(new Error('foo'));
+    }).bindServer(server);
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        proxy.startTunnel('http://localhost:8080').catch(function (err) {
+          assert.equal(err.statusCode, 403);
+          assert.equal(err.message, 'foo');
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method receiver rejected without reason', function (done) {
+    const p = proxy.createProxy(function () {
+      return Promise.reject();
+    }).bindServer(server);
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        proxy.startTunnel('http://localhost:8080').catch(function (err) {
+          assert.equal(err.statusCode, 403);
+          assert(/promise rejected/.test(err), err);
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method legacy receiver returning promise', function (done) {
+    const p = proxy.createProxy(function (hdrs, cb) {
+      // The callback takes precedence over the returned promise.
+      cb(null, hdrs.user);
+      return Promise.resolve('bob');
+    }).bindServer(server.onNeg(function (n, cb) {
+      assert.equal(this.locals.principal, 'ann');
+      cb(null, -n);
+    }));
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        const opts = {headers: {user: 'ann'}};
+        proxy.startTunnel('http://localhost:8080', opts)
+          .then(function (tunnel) {
+            client.createChannel(tunnel);
+            client.neg(2, function (err, n) {
+              assert.ifError(err);
+              assert.equal(n, -2);
+              client.destroyChannels({noWait: true});
+              httpServer.close();
+            });
+          });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('connect method promise receiver with request details', function (done) {
+    const opts = {receiverInfo: true};
+    const p = proxy.createProxy(opts, function (hdrs, info) {
+      // Only two parameters declared, the callback is omitted.
+      assert.deepEqual(info.scopes, ['']);
+      return Promise.resolve(hdrs.user);
+    }).bindServer(server.onNeg(function (n, cb) {
+      assert.equal(this.locals.principal, 'ann');
+      cb(null, -n);
+    }));
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        const opts = {headers: {user: 'ann'}};
+        proxy.startTunnel('http://localhost:8080', opts)
+          .then(function (tunnel) {
+            client.createChannel(tunnel);
+            client.neg(2, function (err, n) {
+              assert.ifError(err);
+              assert.equal(n, -2);
+              client.destroyChannels({noWait: true});
+              httpServer.close();
+            });
+          });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('request handler settled twice', function (done) {
+    const p = proxy.createProxy();
+    const handler = p.requestHandler(function (req, res, cb) {
+      const err = new Error('bar');
+      err.statusCode = 409;
+      cb(err);
+      return Promise.reject(new Error('baz'));
+    });
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', handler)
+      .on('listening', function () {
+        getJson('/', function (status, body) {
+          assert.equal(status, 409);
+          assert.equal(body, 'bar');
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('request handler rejected promise', function (done) {
+    const p = proxy.createProxy();
+    const handler = p.requestHandler(function () {
+      const err = new Error('bar');
+      err.statusCode = 409;
+      return Promise.reject(err);
+    });
+    const httpServer = http.createServer();
+    httpServer
+      .on('request', handler)
+      .on('listening', function () {
+        getJson('/', function (status, body) {
+          assert.equal(status, 409);
+          assert.equal(body, 'bar');
+          httpServer.close();
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  test('close drains channels', function (done) {
+    let closed = false;
+    const p = proxy.createProxy()
+      .bindServer(server.onNeg(function (n, cb) {
+        p.close(function (err) {
+          assert.ifError(err);
+          closed = true;
+        });
+        // The pending call completes before the channel is drained.
+        setTimeout(function () {
+          assert(!closed);
+          cb(null, -n);
+        }, 10);
+      }));
+    const httpServer = http.createServer();
+    httpServer
+      .on('connect', p.connectHandler())
+      .on('listening', function () {
+        proxy.startTunnel('http://localhost:8080', function (err, tunnel) {
+          assert.ifError(err);
+          client.createChannel(tunnel);
+          client.neg(1, function (err, n) {
+            assert.ifError(err);
+            assert.equal(n, -1);
+            assert(closed);
+            client.destroyChannels({noWait: true});
+            httpServer.close();
+          });
+        });
+      })
+      .on('close', function () { done(); })
+      .listen(8080);
+  });
+
+  function postJson(opts, body, cb) {
+    http.request({
+      method: 'POST',
+      port: 8080,
+      path: opts.path,
+      headers: Object.assign({'content-type': 'avro/json'}, opts.headers)
+    }).on('response', function (res) {
+        const bufs = [];
+        res
+          .on('data', function (buf) { bufs.push(buf); })
+          .on('end', function () {
+            cb(res, JSON.parse(Buffer.concat(bufs)));
+          });
+      })
+      .end(body);
+  }
+
+  function getJson(path, cb) {
+    http.get({path, port: 8080}, function (res) {
+      const bufs = [];
+      res
+        .on('data', function (buf) { bufs.push(buf); })
+        .on('end', function () {
+          const str = Buffer.concat(bufs).toString();
+          const isJson = res.headers['content-type'] === 'application/json';
+          cb(res.statusCode, isJson ? JSON.parse(str) : str);
+        });
+    });
+  }
 });
@@ -0,0 +1,322 @@
+/* jshint esversion: 6, mocha: true, node: true */
+
+'use strict';
+
+const deadlines = require('../lib/deadlines');
+const metrics = require('../lib/metrics');
+const resilience = require('../lib/resilience');
+const tracing = require('../lib/tracing');
+
+const assert = require('assert');
+const avro = require('avsc');
+
+
+suite('resilience', function () {
+
+  const svc = avro.Service.forProtocol(avro.readProtocol(`
+    protocol Math {
+      @idempotent(true) int neg(int n);
+      int abs(int n);
+      void log(string msg) oneway;
+    }
+  `));
+
+  suite('retries', function () {
+
+    test('retry idempotent message', function (done) {
+      let attempts = 0;
+      const server = svc.createServer()
+        .onNeg(function (n, cb) {
+          if (++attempts < 3) {
+            return; // Let the call time out.
+          }
+          cb(null, -n);
+        });
+      createClient(server).neg(2, {timeout: 10}, function (err, n) {
+        assert.ifError(err);
+        assert.equal(n, -2);
+        assert.equal(attempts, 3);
+        done();
+      });
+    });
+
+    test('retry declared message', function (done) {
+      let attempts = 0;
+      const server = svc.createServer()
+        .onAbs(function (n, cb) {
+          if (++attempts < 2) {
+            return;
+          }
+          cb(null, Math.abs(n));
+        });
+      const client = svc.createClient({buffering: true, server})
+        .use(resilience.clientRetries({minDelay: 1, idempotent: ['abs']}));
+      client.abs(-2, {timeout: 10}, function (err, n) {
+        assert.ifError(err);
+        assert.equal(n, 2);
+        assert.equal(attempts, 2);
+        done();
+      });
+    });
+
+    test('no retry of non-idempotent message', function (done) {
+      let attempts = 0;
+      const server = svc.createServer()
+        .onAbs(function () { attempts++; });
+      createClient(server).abs(1, {timeout: 10}, function (err) {
+        assert(/timeout/.test(err), err);
+        assert.equal(attempts, 1);
+        done();
+      });
+    });
+
+    test('no retry of application error', function (done) {
+      let attempts = 0;
+      const server = svc.createServer({silent: true})
+        .onNeg(function (n, cb) { attempts++; cb(new Error('bar')); });
+      createClient(server).neg(1, function (err) {
+        assert(/bar/.test(err), err);
+        assert.equal(attempts, 1);
+        done();
+      });
+    });
+
+    test('application error after retry', function (done) {
+      let attempts = 0;
+      const server = svc.createServer({silent: true})
+        .onNeg(function (n, cb) {
+          if (++attempts < 2) {
+            return;
+          }
+          cb(new Error('bar'));
+        });
+      createClient(server).neg(1, {timeout: 10}, function (err) {
+        assert(/bar/.test(err), err);
+        assert.equal(attempts, 2);
+        done();
+      });
+    });
+
+    test('max attempts', function (done) {
+      let attempts = 0;
+      const server = svc.createServer()
+        .onNeg(function () { attempts++; });
+      createClient(server).neg(1, {timeout: 10}, function (err) {
+        assert(/timeout/.test(err), err);
+        assert.equal(attempts, 3);
+        done();
+      });
+    });
+
+    test('should retry', function (done) {
+      let attempts = 0;
+      const server = svc.createServer()
+        .onNeg(function () { attempts++; });
+      const client = svc.createClient({buffering: true, server})
+        .use(resilience.clientRetries({
+          minDelay: 1,
+          shouldRetry: function (err, attempt) {
+            assert(/timeout/.test(err), err);
+            assert.equal(attempt, 1);
+            return false;
+          }
+        }));
+      client.neg(1, {timeout: 10}, function (err) {
+        assert(/timeout/.test(err), err);
+        assert.equal(attempts, 1);
+        done();
+      });
+    });
+
+    test('retry within default deadline', function (done) {
+      let attempts = 0;
+      const server = svc.createServer()
+        .onNeg(function () { attempts++; });
+      const client = svc.createClient({buffering: true, server})
+        .use(
+          resilience.clientRetries({minDelay: 1}),
+          deadlines.clientDeadlines({defaultTimeout: 20})
+        );
+      client.neg(1, function (err) {
+        // Retries share the first attempt's deadline, rather than each
+        // creating their own.
+        assert.equal(err.code, 'DEADLINE_EXCEEDED');
+        assert.equal(attempts, 1);
+        done();
+      });
+    });
+
+    test('retry timeout from remaining deadline', function (done) {
+      const timeouts = [];
+      const server = svc.createServer()
+        .onNeg(function (n, cb) {
+          if (timeouts.length > 1) {
+            cb(null, -n);
+          }
+        });
+      const client = svc.createClient({buffering: true, server})
+        .use(
+          deadlines.clientDeadlines(),
+          resilience.clientRetries({minDelay: 1})
+        );
+      client.on('channel', function (channel) {
+        channel.on('outgoingCall', function (ctx, opts) {
+          if (!timeouts.length) {
+            opts.timeout = 10; // Make the first attempt time out early.
+          }
+          timeouts.push(opts.timeout);
+        });
+      });
+      const deadline = deadlines.createDeadline(500);
+      client.neg(1, {deadline}, function (err, n) {
+        assert.ifError(err);
+        assert.equal(n, -1);
+        assert.equal(timeouts.length, 2);
+        assert(timeouts[1] > 10 && timeouts[1] <= 500, timeouts[1]);
+        done();
+      });
+    });
+
+    test('retries recorded once', function (done) {
+      let attempts = 0;
+      const server = svc.createServer()
+        .use(tracing.serverTracing())
+        .onNeg(function (n, cb) {
+          if (++attempts < 3) {
+            return;
+          }
+          cb(null, -n);
+        });
+      const registry = metrics.createRegistry();
+      const client = svc.createClient({buffering: true, server})
+        .use(
+          metrics.clientMetrics({registry}),
+          tracing.clientTracing(),
+          resilience.clientRetries({minDelay: 1})
+        );
+      const trace = tracing.createTrace();
+      client.neg(2, {timeout: 10, trace}, function (err, n) {
+        assert.ifError(err);
+        assert.equal(n, -2);
+        assert.equal(attempts, 3);
+        const labels = {protocol: 'Math', message: 'neg'};
+        assert.equal(registry.get('verdon_client_calls_total').get(labels), 1);
+        const errors = registry.get('verdon_client_errors_total');
+        const errorLabels = Object.assign({type: 'system'}, labels);
+        assert.equal(errors.get(errorLabels), undefined);
+        assert.equal(trace.calls.length, 1);
+        assert.equal(trace.calls[0].state, 'SUCCESS');
+        done();
+      });
+    });
+
+    test('retries recorded separately', function (done) {
+      let attempts = 0;
+      const server = svc.createServer()
+        .onNeg(function (n, cb) {
+          if (++attempts < 2) {
+            return;
+          }
+          cb(null, -n);
+        });
+      const registry = metrics.createRegistry();
+      const client = svc.createClient({buffering: true, server})
+        .use(
+          resilience.clientRetries({minDelay: 1}),
+          metrics.clientMetrics({registry})
+        );
+      client.neg(2, {timeout: 10}, function (err) {
+        assert.ifError(err);
+        const labels = {protocol: 'Math', message: 'neg'};
+        assert.equal(registry.get('verdon_client_calls_total').get(labels), 2);
+        const errors = registry.get('verdon_client_errors_total');
+        assert.equal(errors.get(Object.assign({type: 'system'}, labels)), 1);
+        done();
+      });
+    });
+
+    function createClient(server) {
+      return svc.createClient({buffering: true, server})
+        .use(resilience.clientRetries({minDelay: 1}));
+    }
+  });
+
+  suite('circuit breaker', function () {
+
+    test('open, half open, and close', function (done) {
+      let healthy = false;
+      const server = svc.createServer()
+        .onNeg(function (n, cb) {
+          if (healthy) {
+            cb(null, -n);
+          }
+        });
+      const breaker = resilience.createCircuitBreaker({
+        maxErrors: 2,
+        resetTimeout: 20
+      });
+      const client = svc.createClient({buffering: true, server})
+        .use(breaker.middleware());
+      const events = [];
+      breaker
+        .on('open', function (channel, name, err) {
+          assert.equal(name, 'neg');
+          assert(/timeout/.test(err), err);
+          events.push('open');
+        })
+        .on('halfOpen', function () { events.push('halfOpen'); })
+        .on('close', function (channel, name) {
+          events.push('close');
+          assert.equal(breaker.state(channel, name), 'CLOSED');
+        });
+      client.neg(1, {timeout: 5}, function (err) {
+        assert(/timeout/.test(err), err);
+        client.neg(1, {timeout: 5}, function (err) {
+          assert(/timeout/.test(err), err);
+          const channel = client.activeChannels()[0];
+          assert.equal(breaker.state(channel, 'neg'), 'OPEN');
+          assert.equal(breaker.state(channel, 'abs'), 'CLOSED');
+          client.neg(1, function (err) {
+            assert.equal(err.code, 'CIRCUIT_OPEN');
+            healthy = true;
+            setTimeout(function () {
+              client.neg(1, function (err, n) {
+                assert.ifError(err);
+                assert.equal(n, -1);
+                assert.deepEqual(events, ['open', 'halfOpen', 'close']);
+                done();
+              });
+            }, 25);
+          });
+        });
+      });
+    });
+
+    test('failed trial call', function (done) {
+      const server = svc.createServer()
+        .onNeg(function () {}); // Never responds.
+      const breaker = resilience.createCircuitBreaker({
+        maxErrors: 1,
+        resetTimeout: 10
+      });
+      const client = svc.createClient({buffering: true, server})
+        .use(breaker.middleware());
+      let opens = 0;
+      breaker.on('open', function () { opens++; });
+      client.neg(1, {timeout: 5}, function (err) {
+        assert(/timeout/.test(err), err);
+        setTimeout(function () {
+          client.neg(1, {timeout: 20}, function (err) {
+            assert(/timeout/.test(err), err);
+            assert.equal(opens, 2);
+            done();
+          });
+          // Only a single trial call is let through.
+          client.neg(1, function (err) {
+            assert.equal(err.code, 'CIRCUIT_OPEN');
+          });
+        }, 15);
+      });
+    });
+  });
+});
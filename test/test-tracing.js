@@ -10,6 +10,20 @@ const avro = require('avsc');
 
 suite('tracing', function () {
 
+  // Trace header schema used by earlier versions.
+  const LEGACY_TRACE_TYPE = avro.Type.forSchema(avro.readSchema(`
+    record verdon.Trace {
+      fixed Uuid(16) uuid;
+      array record Call {
+        enum CallState { PENDING, ERROR, SUCCESS, ONE_WAY } state;
+        string name;
+        long requestTime;
+        union { null, long } responseTime = null;
+        array Call downstreamCalls = [];
+      } calls = [];
+    }
+  `));
+
   const svc = avro.Service.forProtocol({
     protocol: 'Math',
     messages: {
@@ -95,6 +109,365 @@ suite('tracing', function () {
     });
   });
 
+  test('span data and annotations', function (done) {
+    server.onNeg(function (n, cb) {
+      tracing.addTag(this, 'cache', 'miss');
+      tracing.addEvent(this, 'lookup', {table: 'numbers'});
+      cb(new Error('bar'));
+    });
+    client.use(function (wreq, wres, next) {
+      tracing.addTag(this, 'attempt', 1);
+      next();
+    });
+    const trace = tracing.createTrace();
+    client.neg(1, {trace}, function (err) {
+      assert(/bar/.test(err), err);
+      const call = trace.calls[0];
+      assert.equal(call.spanId.length, 8);
+      assert.equal(call.protocol, 'Math');
+      assert.equal(call.state, 'ERROR');
+      assert(/bar/.test(call.error), call.error);
+      assert.deepEqual(call.tags, {attempt: '1', cache: 'miss'});
+      assert.equal(call.events.length, 1);
+      assert.equal(call.events[0].name, 'lookup');
+      assert.deepEqual(call.events[0].tags, {table: 'numbers'});
+      assert(call.events[0].time instanceof Date);
+      done();
+    });
+  });
+
+  test('legacy downstream trace', function (done) {
+    const legacyServer = svc.createServer()
+      .use(function (wreq, wres, next) {
+        // Older servers reject requests with trailing data in their header.
+        const legacyTrace = LEGACY_TRACE_TYPE.fromBuffer(wreq.headers.trace);
+        next(null, function (err, prev) {
+          legacyTrace.calls.push({
+            state: 'SUCCESS',
+            name: 'abs',
+            requestTime: 1000,
+            responseTime: 1001
+          });
+          wres.headers.trace = LEGACY_TRACE_TYPE.toBuffer(legacyTrace);
+          prev(err);
+        });
+      })
+      .onNeg(function (n, cb) { cb(null, -n); });
+    const trace = tracing.createTrace();
+    createClient(legacyServer).neg(1, {trace}, function (err) {
+      assert.ifError(err);
+      const downstreamCall = trace.calls[0].downstreamCalls[0];
+      assert.equal(downstreamCall.name, 'abs');
+      assert.equal(+downstreamCall.requestTime, 1000);
+      assert.strictEqual(downstreamCall.spanId, null);
+      assert.deepEqual(downstreamCall.tags, {});
+      done();
+    });
+  });
+
+  test('legacy upstream client', function (done) {
+    const leafClient = createClient(createServer()
+      .onAbs(function (n, cb) {
+        tracing.addTag(this, 'sign', n < 0 ? '-' : '+');
+        cb(null, Math.abs(n));
+      }));
+    server.onNeg(function (n, cb) {
+      leafClient.abs(n, {trace: this.locals.trace}, cb);
+    });
+    const uuid = tracing.createTrace().uuid;
+    let legacyTrace;
+    svc.createClient({buffering: true, server})
+      .use(function (wreq, wres, next) {
+        wreq.headers.trace = LEGACY_TRACE_TYPE.toBuffer({uuid});
+        next(null, function (err, prev) {
+          legacyTrace = LEGACY_TRACE_TYPE.fromBuffer(wres.headers.trace);
+          prev(err);
+        });
+      })
+      .neg(-2, function (err, n) {
+        assert.ifError(err);
+        assert.equal(n, 2);
+        assert(legacyTrace.uuid.equals(uuid));
+        assert.equal(legacyTrace.calls.length, 1);
+        assert.equal(legacyTrace.calls[0].name, 'abs');
+        assert.equal(legacyTrace.calls[0].state, 'SUCCESS');
+        done();
+      });
+  });
+
+  test('trace header unchanged', function (done) {
+    const trace = tracing.createTrace();
+    let buf;
+    svc.createClient({buffering: true, server})
+      .use(function (wreq, wres, next) {
+        next(null, function (err, prev) {
+          buf = wreq.headers.trace;
+          prev(err);
+        });
+      })
+      .use(tracing.clientTracing())
+      .neg(1, {trace}, function (err) {
+        assert.ifError(err);
+        assert.deepEqual(buf, LEGACY_TRACE_TYPE.toBuffer({uuid: trace.uuid}));
+        done();
+      });
+    server.onNeg(function (n, cb) { cb(null, -n); });
+  });
+
+  test('untraced call annotation', function (done) {
+    const untracedServer = svc.createServer()
+      .onNeg(function (n, cb) {
+        assert.throws(function () {
+          tracing.addTag(this, 'foo', 'bar');
+        }.bind(this), /not traced/);
+        cb(null, -n);
+      });
+    const untracedClient = svc.createClient(
+      {buffering: true, server: untracedServer});
+    untracedClient.neg(1, function (err) {
+      assert.ifError(err);
+      done();
+    });
+  });
+
+  test('sampling drop', function (done) {
+    server.onNeg(function (n, cb) {
+      assert.equal(this.locals.trace.sampling, 'DROP');
+      tracing.addTag(this, 'ignored', 'true'); // No-op.
+      cb(null, -n);
+    });
+    const droppingClient = svc.createClient({buffering: true, server})
+      .use(tracing.clientTracing({sampler: function () { return false; }}));
+    const trace = tracing.createTrace();
+    droppingClient.neg(1, {trace}, function (err, n) {
+      assert.ifError(err);
+      assert.equal(n, -1);
+      assert.equal(trace.sampling, 'DROP');
+      assert.equal(trace.calls.length, 0);
+      done();
+    });
+  });
+
+  test('server sampling drop', function (done) {
+    let traceBuf;
+    const droppingServer = svc.createServer()
+      .use(function (wreq, wres, next) {
+        next(null, function (err, prev) {
+          traceBuf = wres.headers.trace;
+          prev(err);
+        });
+      })
+      .use(tracing.serverTracing({sampler: function () { return false; }}))
+      .onNeg(function (n, cb) { cb(null, -n); });
+    const trace = tracing.createTrace();
+    createClient(droppingServer).neg(1, {trace}, function (err, n) {
+      // The client doesn't ignore missing traces, but gets one anyway.
+      assert.ifError(err);
+      assert.equal(n, -1);
+      assert.equal(trace.sampling, 'DROP');
+      assert.equal(trace.calls.length, 1);
+      const legacyTrace = LEGACY_TRACE_TYPE.fromBuffer(traceBuf);
+      assert(legacyTrace.uuid.equals(trace.uuid));
+      done();
+    });
+  });
+
+  test('forced sampling', function (done) {
+    server.onNeg(function (n, cb) { cb(null, -n); });
+    const droppingClient = svc.createClient({buffering: true, server})
+      .use(tracing.clientTracing({sampler: function () { return false; }}));
+    const trace = tracing.createTrace({force: true});
+    droppingClient.neg(1, {trace}, function (err) {
+      assert.ifError(err);
+      assert.equal(trace.sampling, 'FORCE');
+      assert.equal(trace.calls.length, 1);
+      done();
+    });
+  });
+
+  test('probabilistic sampler', function () {
+    assert(!tracing.probabilisticSampler(0)());
+    assert(tracing.probabilisticSampler(1)());
+  });
+
+  test('rate limiting sampler', function () {
+    const sampler = tracing.rateLimitingSampler(2);
+    assert.deepEqual([sampler(), sampler(), sampler()], [true, true, false]);
+  });
+
+  test('max depth truncation', function (done) {
+    const leafClient = createClient(createServer()
+      .onAbs(function (n, cb) { cb(null, Math.abs(n)); }));
+    const midClient = createClient(createServer()
+      .onNeg(function (n, cb) {
+        leafClient.abs(n, {trace: this.locals.trace}, cb);
+      }));
+    const topServer = svc.createServer()
+      .use(tracing.serverTracing({maxDepth: 1}))
+      .onNeg(function (n, cb) {
+        midClient.neg(n, {trace: this.locals.trace}, cb);
+      });
+    const trace = tracing.createTrace();
+    createClient(topServer).neg(-2, {trace}, function (err) {
+      assert.ifError(err);
+      const call = trace.calls[0];
+      assert(!call.truncated);
+      const midCall = call.downstreamCalls[0];
+      assert.equal(midCall.name, 'neg');
+      assert(midCall.truncated);
+      assert.equal(midCall.downstreamCalls.length, 0);
+      done();
+    });
+  });
+
+  test('max size truncation', function (done) {
+    const leafClient = createClient(createServer()
+      .onAbs(function (n, cb) { cb(null, Math.abs(n)); }));
+    const topServer = svc.createServer()
+      .use(tracing.serverTracing({maxSize: 64}))
+      .onNeg(function (n, cb) {
+        const trace = this.locals.trace;
+        leafClient.abs(1, {trace}, function () {
+          leafClient.abs(2, {trace}, function () {
+            leafClient.abs(3, {trace}, cb);
+          });
+        });
+      });
+    const trace = tracing.createTrace();
+    createClient(topServer).neg(1, {trace}, function (err) {
+      assert.ifError(err);
+      const call = trace.calls[0];
+      assert(call.truncated);
+      assert(call.downstreamCalls.length < 3);
+      done();
+    });
+  });
+
+  test('read trace context', function () {
+    const ctx = tracing.readTraceContext({
+      traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01',
+      tracestate: 'congo=t61rcWkgMzE'
+    });
+    assert.equal(ctx.uuid.toString('hex'), '0af7651916cd43dd8448eb211c80319c');
+    assert.equal(ctx.parentSpanId.toString('hex'), 'b7ad6b7169203331');
+    assert.equal(ctx.traceState, 'congo=t61rcWkgMzE');
+    assert.equal(ctx.sampling, 'SAMPLE');
+    assert.equal(
+      tracing.formatTraceparent(ctx),
+      '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01'
+    );
+    const invalids = [
+      undefined,
+      'ff-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01',
+      '00-0af7651916cd43dd8448eb211c80319c-0000000000000000-01',
+      '00-0AF7651916CD43DD8448EB211C80319C-b7ad6b7169203331-01'
+    ];
+    for (const traceparent of invalids) {
+      const ctx = tracing.readTraceContext({traceparent});
+      assert.strictEqual(ctx.parentSpanId, null);
+      assert.equal(ctx.sampling, 'UNDECIDED');
+    }
+  });
+
+  test('seeded trace', function (done) {
+    const ctx = tracing.readTraceContext({
+      traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-00'
+    });
+    let traceBuf;
+    const seededServer = svc.createServer()
+      .use(function (wreq, wres, next) {
+        tracing.seedTrace(this.locals, ctx);
+        next(null, function (err, prev) {
+          traceBuf = wres.headers.trace;
+          prev(err);
+        });
+      })
+      .use(tracing.serverTracing())
+      .onNeg(function (n, cb) {
+        const trace = this.locals.trace;
+        assert(trace.uuid.equals(ctx.uuid));
+        assert(trace.parentSpanId.equals(ctx.parentSpanId));
+        cb(null, -n);
+      });
+    // Untraced caller.
+    svc.createClient({buffering: true, server: seededServer})
+      .neg(1, function (err, n) {
+        assert.ifError(err);
+        assert.equal(n, -1);
+        // The context's fields don't change the trace header.
+        const legacyTrace = LEGACY_TRACE_TYPE.fromBuffer(traceBuf);
+        assert(legacyTrace.uuid.equals(ctx.uuid));
+        done();
+      });
+  });
+
+  test('cancelled call', function (done) {
+    const trace = tracing.createTrace();
+    server.onNeg(function (n, cb) {
+      setTimeout(function () { cb(null, -n); }, 20);
+    });
+    let aborted = false;
+    const signal = {
+      aborted: false,
+      addEventListener: function (type, fn) { this._onAbort = fn; },
+      removeEventListener: function () { this._onAbort = null; }
+    };
+    client.neg(1, {trace, signal}, function (err) {
+      assert.ifError(err);
+      assert(aborted);
+      assert.equal(trace.calls[0].state, 'CANCELLED');
+      assert.strictEqual(signal._onAbort, null);
+      done();
+    });
+    setTimeout(function () {
+      signal.aborted = aborted = true;
+      signal._onAbort();
+      const call = trace.calls[0];
+      assert.equal(call.state, 'CANCELLED');
+      assert(call.responseTime instanceof Date);
+    }, 5);
+  });
+
+  test('cancelled downstream call', function (done) {
+    server.onNeg(function (n, cb) {
+      setTimeout(function () { cb(null, -n); }, 20);
+    });
+    const signal = {
+      aborted: false,
+      addEventListener: function (type, fn) { this._onAbort = fn; },
+      removeEventListener: function () { this._onAbort = null; }
+    };
+    const hopServer = createServer()
+      .onAbs(function (n, cb) {
+        client.neg(n, {trace: this.locals.trace, signal}, function () {
+          cb(null, Math.abs(n));
+        });
+        setTimeout(function () {
+          signal.aborted = true;
+          signal._onAbort();
+        }, 5);
+      });
+    let traceBuf;
+    const trace = tracing.createTrace();
+    svc.createClient({buffering: true, server: hopServer})
+      .use(function (wreq, wres, next) {
+        next(null, function (err, prev) {
+          traceBuf = wres.headers.trace;
+          prev(err);
+        });
+      })
+      .use(tracing.clientTracing())
+      .abs(-1, {trace}, function (err) {
+        assert.ifError(err);
+        const downstreamCall = trace.calls[0].downstreamCalls[0];
+        assert.equal(downstreamCall.state, 'CANCELLED');
+        // Older peers see cancelled calls as errors.
+        const legacyTrace = LEGACY_TRACE_TYPE.fromBuffer(traceBuf);
+        assert.equal(legacyTrace.calls[0].state, 'ERROR');
+        done();
+      });
+  });
+
   function createClient(server) {
     return svc.createClient({buffering: true, server})
       .use(tracing.clientTracing());
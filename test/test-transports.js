@@ -0,0 +1,294 @@
+/* jshint esversion: 6, mocha: true, node: true */
+
+'use strict';
+
+const proxy = require('../lib/proxy');
+const transports = require('../lib/transports');
+
+const assert = require('assert');
+const avro = require('avsc');
+const http = require('http');
+
+
+suite('transports', function () {
+
+  const svc = avro.Service.forProtocol({
+    protocol: 'Math',
+    messages: {
+      neg: {request: [{name: 'n', type: 'int'}], response: 'int'}
+    }
+  });
+
+  let client, server;
+
+  setup(function () {
+    client = svc.createClient();
+    server = svc.createServer()
+      .onNeg(function (n, cb) { cb(null, -n); });
+  });
+
+  teardown(function () {
+    client = undefined;
+    server = undefined;
+  });
+
+  suite('post transport', function () {
+
+    test('ok', function (done) {
+      const p = proxy.createProxy().bindServer(server, {scope: 'math'});
+      const httpServer = http.createServer();
+      httpServer
+        .on('request', p.postRequestHandler('/rpc'))
+        .on('listening', function () {
+          const transport = transports.createPostTransport(
+            'http://localhost:8080/rpc', {scope: 'math'});
+          client.createChannel(transport, {scope: 'math'});
+          client.neg(2, function (err, n) {
+            assert.ifError(err);
+            assert.equal(n, -2);
+            httpServer.close();
+          });
+        })
+        .on('close', function () { done(); })
+        .listen(8080);
+    });
+
+    test('forbidden', function (done) {
+      const p = proxy.createProxy(function (hdrs, cb) {
+        cb(hdrs.authorization === 'secret' ? null : new Error('no'));
+      }).bindServer(server);
+      const httpServer = http.createServer();
+      httpServer
+        .on('request', p.postRequestHandler())
+        .on('listening', function () {
+          const transport = transports.createPostTransport(
+            'http://localhost:8080', {headers: {authorization: 'secret'}});
+          client.createChannel(transport, {noPing: true});
+          client.neg(3, function (err, n) {
+            assert.ifError(err);
+            assert.equal(n, -3);
+            const transport = transports.createPostTransport(
+              'http://localhost:8080');
+            const client2 = svc.createClient();
+            client2.createChannel(transport, {noPing: true});
+            client2.neg(3, function (err) {
+              assert(/no/.test(err), err);
+              httpServer.close();
+            });
+          });
+        })
+        .on('close', function () { done(); })
+        .listen(8080);
+    });
+  });
+
+  suite('post json message', function () {
+
+    test('ok', function (done) {
+      server.use(function (wreq, wres, next) {
+        assert.deepEqual(wreq.headers, {one: Buffer.from([1])});
+        next(null, function (err, prev) {
+          wres.headers.two = Buffer.from([2]);
+          prev(err);
+        });
+      });
+      const p = proxy.createProxy().bindServer(server);
+      const httpServer = http.createServer();
+      httpServer
+        .on('request', p.postRequestHandler())
+        .on('listening', function () {
+          const jreq = {
+            message: 'neg',
+            request: {n: 4},
+            headers: {one: Buffer.from([1])}
+          };
+          transports.postJsonMessage(
+            'http://localhost:8080', jreq, function (err, jres) {
+              assert.ifError(err);
+              assert.deepEqual(jres, {
+                response: -4,
+                headers: {two: Buffer.from([2])}
+              });
+              httpServer.close();
+            });
+        })
+        .on('close', function () { done(); })
+        .listen(8080);
+    });
+
+    test('invalid scope', function (done) {
+      const p = proxy.createProxy().bindServer(server);
+      const httpServer = http.createServer();
+      httpServer
+        .on('request', p.postRequestHandler())
+        .on('listening', function () {
+          const jreq = {message: 'neg', request: {n: 4}};
+          const opts = {scope: 'foo'};
+          transports.postJsonMessage(
+            'http://localhost:8080', jreq, opts, function (err) {
+              assert(/invalid scope/.test(err), err);
+              httpServer.close();
+            });
+        })
+        .on('close', function () { done(); })
+        .listen(8080);
+    });
+  });
+
+  suite('websocket connector', function () {
+
+    test('ok', function (done) {
+      const p = proxy.createProxy(function (hdrs, cb) {
+        cb(hdrs.authorization === 'secret' ? null : new Error('no'));
+      }).bindServer(server, {scope: 'math'});
+      const httpServer = http.createServer();
+      httpServer
+        .on('upgrade', p.webSocketHandler())
+        .on('listening', function () {
+          const connector = transports.connectWebSocket(
+            'ws://localhost:8080',
+            {scopes: ['math'], headers: {authorization: 'secret'}}
+          ).bindClient(client, {scope: 'math'});
+          client.neg(2, function (err, n) {
+            assert.ifError(err);
+            assert.equal(n, -2);
+            assert(connector.isConnected());
+            connector.close();
+            httpServer.close();
+          });
+        })
+        .on('close', function () { done(); })
+        .listen(8080);
+    });
+
+    test('invalid scope', function () {
+      const connector = transports.connectWebSocket(
+        'ws://localhost:8080', {scopes: ['a']});
+      assert.throws(function () { connector.bindClient(client); });
+      connector.close();
+    });
+
+    test('rejected before upgrade', function (done) {
+      const p = proxy.createProxy({maxChannelsPerScope: 1})
+        .bindServer(server, {scope: 'math'});
+      const httpServer = http.createServer()
+        .on('upgrade', p.webSocketHandler());
+      httpServer
+        .on('listening', function () {
+          const connector = transports.connectWebSocket(
+            'ws://localhost:8080', {scopes: ['math']}
+          ).bindClient(client, {scope: 'math'});
+          connector.once('connect', function () {
+            // The second connection exceeds the channel limit.
+            const other = transports.connectWebSocket(
+              'ws://localhost:8080', {scopes: ['math']});
+            other
+              .on('connect', function () { assert(false); })
+              .once('disconnect', function (err) {
+                assert(/503/.test(err), err);
+                other.close();
+                connector.close();
+                httpServer.close();
+              });
+          });
+        })
+        .on('close', function () { done(); })
+        .listen(8080);
+    });
+
+    test('invalid scope rejected before upgrade', function (done) {
+      const p = proxy.createProxy().bindServer(server, {scope: 'math'});
+      const httpServer = http.createServer()
+        .on('upgrade', p.webSocketHandler());
+      httpServer
+        .on('listening', function () {
+          const connector = transports.connectWebSocket(
+            'ws://localhost:8080', {scopes: ['other']});
+          connector
+            .on('connect', function () { assert(false); })
+            .once('disconnect', function (err) {
+              assert(/404/.test(err), err);
+              connector.close();
+              httpServer.close();
+            });
+        })
+        .on('close', function () { done(); })
+        .listen(8080);
+    });
+
+    test('in-flight call on disconnect', function (done) {
+      const p = proxy.createProxy().bindServer(svc.createServer()
+        .onNeg(function () {})); // Never respond.
+      const sockets = [];
+      const httpServer = http.createServer()
+        .on('upgrade', p.webSocketHandler())
+        .on('upgrade', function (req, sock) { sockets.push(sock); });
+      const client = svc.createClient({timeout: 50});
+      const connector = transports.connectWebSocket(
+        'ws://localhost:8080', {minDelay: 5}).bindClient(client);
+      httpServer
+        .on('listening', function () {
+          connector.once('connect', function () {
+            const start = Date.now();
+            client.neg(1, function (err) {
+              // The call isn't interrupted, it times out.
+              assert(/timeout/.test(err), err);
+              assert(Date.now() - start >= 45);
+              connector.close();
+              httpServer.close();
+            });
+            setTimeout(function () { sockets.pop().destroy(); }, 10);
+          });
+        })
+        .on('close', function () { done(); })
+        .listen(8080);
+    });
+
+    test('reconnect', function (done) {
+      const p = proxy.createProxy().bindServer(server);
+      const sockets = [];
+      const httpServer = http.createServer()
+        .on('upgrade', p.webSocketHandler())
+        .on('upgrade', function (req, sock) { sockets.push(sock); });
+      const connector = transports.connectWebSocket(
+        'ws://localhost:8080', {minDelay: 5}).bindClient(client);
+      const delays = [];
+      connector
+        .on('disconnect', function (err, delay) {
+          if (delay !== undefined) {
+            delays.push(delay);
+          }
+        })
+        .once('connect', function () {
+          client.neg(1, function (err, n) {
+            assert.ifError(err);
+            assert.equal(n, -1);
+            connector.once('disconnect', function () {
+              // This call is buffered until the connector reconnects.
+              client.neg(3, function (err, n) {
+                assert.ifError(err);
+                assert.equal(n, -3);
+                assert.equal(delays[delays.length - 1], 5); // Reset.
+                connector.close();
+                httpServer.close();
+              });
+            });
+            // Kill the connection from the server.
+            sockets.pop().destroy();
+          });
+        });
+      client.neg(2, function (err, n) {
+        // This call is buffered until the server is available.
+        assert.ifError(err);
+        assert.equal(n, -2);
+      });
+      setTimeout(function () {
+        assert(delays.length > 1);
+        assert(delays[1] > delays[0]); // Backoff.
+        httpServer
+          .on('close', function () { done(); })
+          .listen(8080);
+      }, 50);
+    });
+  });
+});
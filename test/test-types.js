@@ -0,0 +1,246 @@
+/* jshint esversion: 6, mocha: true, node: true */
+
+'use strict';
+
+const proxy = require('../lib/proxy');
+const transports = require('../lib/transports');
+const types = require('../lib/types');
+const utils = require('../lib/utils');
+
+const assert = require('assert');
+const avro = require('avsc');
+const http = require('http');
+
+
+suite('types', function () {
+
+  suite('logical types', function () {
+
+    test('decimal bytes', function () {
+      const type = createType({
+        type: 'bytes',
+        logicalType: 'decimal',
+        precision: 5,
+        scale: 2
+      });
+      assert.equal(roundTrip(type, '-12.3'), '-12.30');
+      assert.equal(roundTrip(type, '0.05'), '0.05');
+      assert.equal(roundTrip(type, '1.500'), '1.50');
+      assert.equal(roundTrip(type, BigInt(7)), '7.00');
+      // Length prefix, then the unscaled value in two's complement.
+      assert.deepEqual(type.toBuffer('-0.01'), Buffer.from([2, 0xff]));
+      assert(!type.isValid('1.234')); // Too many fractional digits.
+      assert(!type.isValid('1234.5')); // Too many digits.
+      assert(!type.isValid(1.5));
+      assert(!type.isValid('abc'));
+    });
+
+    test('decimal fixed', function () {
+      const type = createType({
+        type: 'fixed',
+        name: 'Amount',
+        size: 2,
+        logicalType: 'decimal',
+        precision: 6
+      });
+      assert.equal(roundTrip(type, '-300'), '-300');
+      assert.deepEqual(type.toBuffer('128'), Buffer.from([0, 128]));
+      assert(!type.isValid('40000')); // Doesn't fit in the fixed.
+      assert.deepEqual(type.schema({exportAttrs: true}), {
+        name: 'Amount',
+        type: 'fixed',
+        size: 2,
+        logicalType: 'decimal',
+        precision: 6,
+        scale: 0
+      });
+    });
+
+    test('invalid decimal falls back to underlying type', function () {
+      const type = createType({type: 'bytes', logicalType: 'decimal'});
+      assert(avro.Type.isType(type, 'bytes'));
+    });
+
+    test('uuid', function () {
+      const id = '123e4567-e89b-12d3-a456-426614174000';
+      const strType = createType({type: 'string', logicalType: 'uuid'});
+      assert.equal(roundTrip(strType, id), id);
+      assert(!strType.isValid('123'));
+      const fixedType = createType({
+        type: 'fixed',
+        name: 'Id',
+        size: 16,
+        logicalType: 'uuid'
+      });
+      assert.equal(roundTrip(fixedType, id), id);
+      assert.equal(fixedType.toBuffer(id).length, 16);
+    });
+
+    test('timestamp micros', function () {
+      const type = createType({type: 'long', logicalType: 'timestamp-micros'});
+      const date = new Date(1234567);
+      assert.deepEqual(roundTrip(type, date), date);
+      const buf = avro.Type.forSchema('long').toBuffer(1234567890);
+      assert.deepEqual(type.fromBuffer(buf), date);
+    });
+
+    test('date', function () {
+      const type = createType({type: 'int', logicalType: 'date'});
+      assert.equal(roundTrip(type, '2020-02-29'), '2020-02-29');
+      const date = new Date('1969-12-31T12:00Z');
+      assert.equal(roundTrip(type, date), '1969-12-31');
+      assert.deepEqual(type.toBuffer('1970-01-02'), Buffer.from([2]));
+      assert(!type.isValid('2021-02-29'));
+      assert(!type.isValid('2021-13-01'));
+    });
+
+    test('date bounds', function () {
+      const type = createType({type: 'int', logicalType: 'date'});
+      const intType = avro.Type.forSchema('int');
+      assert.equal(roundTrip(type, '0000-01-01'), '0000-01-01');
+      assert.equal(roundTrip(type, '9999-12-31'), '9999-12-31');
+      assert.equal(type.fromBuffer(intType.toBuffer(2932896)), '9999-12-31');
+      assert.throws(function () {
+        type.fromBuffer(intType.toBuffer(2932897));
+      }, /date out of range/);
+      assert.throws(function () {
+        type.fromBuffer(intType.toBuffer(-719529));
+      }, /date out of range/);
+      assert.throws(function () {
+        type.fromBuffer(intType.toBuffer(2000000000));
+      }, /date out of range/);
+      assert(!type.isValid(new Date(Date.UTC(10000, 0, 1))));
+      assert(!type.isValid(new Date(NaN)));
+    });
+
+    test('time millis', function () {
+      const type = createType({type: 'int', logicalType: 'time-millis'});
+      assert.equal(roundTrip(type, '13:05'), '13:05:00.000');
+      assert.equal(roundTrip(type, '00:00:01.5'), '00:00:01.500');
+      assert(!type.isValid('24:00'));
+      const intType = avro.Type.forSchema('int');
+      assert.equal(type.fromBuffer(intType.toBuffer(86399999)), '23:59:59.999');
+      assert.throws(function () {
+        type.fromBuffer(intType.toBuffer(86400000));
+      }, /time out of range/);
+      assert.throws(function () {
+        type.fromBuffer(intType.toBuffer(-1));
+      }, /time out of range/);
+    });
+
+    test('duration', function () {
+      const type = createType({
+        type: 'fixed',
+        name: 'Duration',
+        size: 12,
+        logicalType: 'duration'
+      });
+      const val = {months: 1, days: 2, milliseconds: 3};
+      assert.deepEqual(roundTrip(type, val), val);
+      assert(!type.isValid({months: -1}));
+    });
+
+    test('readable json', function () {
+      const type = createType({
+        type: 'record',
+        name: 'Payment',
+        fields: [
+          {
+            name: 'amount',
+            type: {
+              type: 'bytes',
+              logicalType: 'decimal',
+              precision: 8,
+              scale: 2
+            }
+          },
+          {name: 'day', type: {type: 'int', logicalType: 'date'}}
+        ]
+      });
+      const str = type.toString({amount: '10', day: '2020-01-01'});
+      assert.equal(str, '{"amount":"10.00","day":"2020-01-01"}');
+      assert.throws(function () {
+        type.fromString('{"amount":"1.001","day":"2020-01-01"}');
+      }, /invalid logical:decimal/);
+    });
+
+    test('bigint longs', function () {
+      const type = createType({
+        type: 'record',
+        name: 'Counter',
+        fields: [{name: 'count', type: 'long'}]
+      }, {bigInts: true});
+      const big = BigInt('9007199254740993'); // Not a safe integer.
+      assert.equal(roundTrip(type, {count: big}).count, big);
+      assert.equal(type.toString({count: big}), '{"count":"9007199254740993"}');
+      assert.equal(type.toString({count: BigInt(3)}), '{"count":3}');
+      assert(!type.isValid({count: 3}));
+    });
+  });
+
+  suite('services', function () {
+
+    const protocol = avro.readProtocol(`
+      protocol Ledger {
+        record Entry {
+          uuid id;
+          @logicalType("decimal") @precision(10) @scale(2) bytes amount;
+          date createdAt;
+        }
+        Entry get(uuid id);
+      }
+    `, types.typeOptions());
+
+    const id = '123e4567-e89b-12d3-a456-426614174000';
+    const createdAt = new Date(1500000000000);
+
+    test('promisified', function () {
+      const svc = avro.Service.forProtocol(protocol, types.typeOptions());
+      const server = utils.promisify(svc.createServer())
+        .onGet(function (id) { return {id, amount: '12.5', createdAt}; });
+      const client = utils.promisify(
+        svc.createClient({buffering: true, server}));
+      return client.get(id).then(function (entry) {
+        assert.deepEqual(entry, {id, amount: '12.50', createdAt});
+      });
+    });
+
+    test('proxy json', function (done) {
+      const svc = avro.Service.forProtocol(protocol, types.typeOptions());
+      const server = svc.createServer()
+        .onGet(function (id, cb) { cb(null, {id, amount: '-1', createdAt}); });
+      const p = proxy.createProxy().bindServer(server);
+      const httpServer = http.createServer();
+      httpServer
+        .on('request', p.postRequestHandler())
+        .on('listening', function () {
+          const url = 'http://localhost:8080';
+          const jreq = {message: 'get', request: {id}};
+          transports.postJsonMessage(url, jreq, function (err, jres) {
+            assert.ifError(err);
+            assert.deepEqual(jres.response, {
+              id,
+              amount: '-1.00',
+              createdAt: +createdAt
+            });
+            const jreq = {message: 'get', request: {id: 'abc'}};
+            transports.postJsonMessage(url, jreq, function (err) {
+              assert.equal(err.code, 'INVALID_REQUEST');
+              assert.equal(err.path, 'request.id');
+              httpServer.close();
+            });
+          });
+        })
+        .on('close', function () { done(); })
+        .listen(8080);
+    });
+  });
+
+  function createType(schema, opts) {
+    return avro.Type.forSchema(schema, types.typeOptions(opts));
+  }
+
+  function roundTrip(type, val) {
+    return type.fromBuffer(type.toBuffer(val));
+  }
+});
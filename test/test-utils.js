@@ -100,6 +100,53 @@ suite('utils', function () {
       });
     });
 
+    test('promisify client abort call', function (done) {
+      utils.promisify(client);
+      let responded = false;
+      server.onNeg(function (n, cb) {
+        setTimeout(function () {
+          responded = true;
+          cb(null, -n);
+          setTimeout(function () { done(); }, 5); // Response is discarded.
+        }, 20);
+      });
+      const controller = createAbortController();
+      client.neg(2, {signal: controller.signal})
+        .then(function () { assert(false); })
+        .catch(function (err) {
+          assert.equal(err.name, 'AbortError');
+          assert.equal(err.code, 'ABORT_ERR');
+          assert(!responded);
+        });
+      setTimeout(function () { controller.abort(); }, 5);
+    });
+
+    test('promisify client aborted signal', function (done) {
+      utils.promisify(client);
+      let called = false;
+      server.onNeg(function (n, cb) { called = true; cb(null, -n); });
+      const controller = createAbortController();
+      controller.abort();
+      client.neg(2, {signal: controller.signal}).catch(function (err) {
+        assert(/aborted/.test(err), err);
+        setTimeout(function () {
+          assert(!called);
+          done();
+        }, 5);
+      });
+    });
+
+    test('promisify client signal not aborted', function (done) {
+      utils.promisify(client);
+      server.onNeg(function (n, cb) { cb(null, -n); });
+      const controller = createAbortController();
+      client.neg(2, {signal: controller.signal}).then(function (n) {
+        assert.equal(n, -2);
+        assert.equal(controller.listenerCount(), 0);
+        done();
+      });
+    });
+
     test('promisify client middleware early return', function (done) {
       utils.promisify(client);
       server.onNeg(function (n, cb) { cb(null, -n); });
@@ -287,4 +334,219 @@ suite('utils', function () {
       });
     });
   });
+
+  suite('pagination', function () {
+
+    // Only available natively from node 10.
+    const ASYNC_ITERATOR = Symbol.asyncIterator || Symbol.for('asyncIterator');
+
+    const svc = avro.Service.forProtocol(avro.readProtocol(`
+      protocol Counter {
+        record Page {
+          array<int> items;
+          union { null, string } nextCursor;
+        }
+        Page count(
+          int max,
+          union { null, string } cursor = null,
+          union { null, int } pageSize = null
+        );
+        int total(int max);
+      }
+    `));
+
+    let client, server, calls;
+
+    setup(function () {
+      calls = 0;
+      server = utils.promisify(svc.createServer({silent: true}))
+        .use(function (wreq, wres, next) {
+          calls++;
+          next();
+        });
+      client = svc.createClient({buffering: true, server});
+    });
+
+    teardown(function () {
+      client = undefined;
+      server = undefined;
+    });
+
+    test('async iterable handler', function (done) {
+      server.onCount(function (max) { return countTo(max); });
+      collect(utils.iterateMessage(client, 'count', {max: 5, pageSize: 2}))
+        .then(function (items) {
+          assert.deepEqual(items, [0, 1, 2, 3, 4]);
+          assert.equal(calls, 3);
+          done();
+        });
+    });
+
+    test('empty iteration', function (done) {
+      server.onCount(function (max) { return countTo(max); });
+      collect(utils.iterateMessage(client, 'count', {max: 0}))
+        .then(function (items) {
+          assert.deepEqual(items, []);
+          assert.equal(calls, 1);
+          done();
+        });
+    });
+
+    test('handler returning pages', function (done) {
+      server.onCount(function (max, cursor) {
+        if (!cursor) {
+          return {items: [1, 2], nextCursor: 'a'};
+        }
+        assert.equal(cursor, 'a');
+        return {items: [3], nextCursor: null};
+      });
+      collect(utils.iterateMessage(client, 'count', {max: 3}))
+        .then(function (items) {
+          assert.deepEqual(items, [1, 2, 3]);
+          done();
+        });
+    });
+
+    test('handler error', function (done) {
+      server.onCount(function () { return countTo(1, new Error('bar')); });
+      const iter = utils.iterateMessage(client, 'count', {max: 2, pageSize: 1});
+      iter.next()
+        .then(function (ret) {
+          assert.deepEqual(ret, {done: false, value: 0});
+          return iter.next();
+        })
+        .catch(function (err) {
+          assert(/bar/.test(err), err);
+          return iter.next();
+        })
+        .then(function (ret) {
+          assert(ret.done);
+          done();
+        });
+    });
+
+    test('early return', function (done) {
+      server.onCount(function () { return countTo(Infinity); });
+      const iter = utils.iterateMessage(client, 'count', {max: 0, pageSize: 2});
+      iter.next()
+        .then(function (ret) {
+          assert.equal(ret.value, 0);
+          return iter.return();
+        })
+        .then(function () { return iter.next(); })
+        .then(function (ret) {
+          assert(ret.done);
+          assert.equal(calls, 1);
+          done();
+        });
+    });
+
+    test('invalid cursor', function (done) {
+      server.onCount(function (max) { return countTo(max); });
+      client.count(1, 'foo', null, function (err) {
+        assert(/invalid cursor: foo/.test(err), err);
+        done();
+      });
+    });
+
+    test('not a paginated message', function () {
+      assert.throws(function () {
+        utils.iterateMessage(client, 'total', {max: 1});
+      }, /not a paginated message/);
+    });
+
+    test('least recently used iterations abandoned', function (done) {
+      const iterables = [];
+      const opts = {maxIterations: 2};
+      server = utils.promisify(svc.createServer({silent: true}), opts)
+        .onCount(function (max) {
+          const iterable = countTo(max);
+          iterables.push(iterable);
+          return iterable;
+        });
+      client = svc.createClient({buffering: true, server});
+      const iters = [0, 1, 2].map(function () {
+        return utils.iterateMessage(client, 'count', {max: 4, pageSize: 1});
+      });
+      iters[0].next()
+        .then(function () { return iters[1].next(); })
+        .then(function () { return iters[0].next(); }) // Now more recent.
+        .then(function () { return iters[2].next(); })
+        .then(function () {
+          const returned = iterables.map(function (it) { return it.returned; });
+          assert.deepEqual(returned, [false, true, false]);
+          return iters[0].next();
+        })
+        .then(function (ret) {
+          assert.equal(ret.value, 2);
+          return iters[1].next();
+        })
+        .catch(function (err) {
+          assert(/invalid cursor/.test(err), err);
+          done();
+        });
+    });
+
+    /**
+     * Async iterable over integers up to `max` (exclusive), failing with `err`
+     * at the end if specified.
+     */
+    function countTo(max, err) {
+      let i = 0;
+      const iterable = {
+        returned: false,
+        next() {
+          if (this.returned) {
+            return Promise.resolve({done: true, value: undefined});
+          }
+          if (i < max) {
+            return Promise.resolve({done: false, value: i++});
+          }
+          return err ?
+            Promise.reject(err) :
+            Promise.resolve({done: true, value: undefined});
+        },
+        return() {
+          this.returned = true;
+          return Promise.resolve({done: true, value: undefined});
+        }
+      };
+      iterable[ASYNC_ITERATOR] = function () { return this; };
+      return iterable;
+    }
+
+    function collect(iterable) {
+      const iterator = iterable[ASYNC_ITERATOR]();
+      const items = [];
+      return pull();
+
+      function pull() {
+        return iterator.next().then(function (ret) {
+          if (ret.done) {
+            return items;
+          }
+          items.push(ret.value);
+          return pull();
+        });
+      }
+    }
+  });
+
+  // Minimal stand-in for `AbortController`, only global from node 15.
+  function createAbortController() {
+    const listeners = new Set();
+    const signal = {
+      aborted: false,
+      addEventListener: function (type, fn) { listeners.add(fn); },
+      removeEventListener: function (type, fn) { listeners.delete(fn); }
+    };
+    return {
+      signal,
+      abort: function () {
+        signal.aborted = true;
+        listeners.forEach(function (fn) { fn(); });
+      },
+      listenerCount: function () { return listeners.size; }
+    };
+  }
 });